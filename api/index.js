@@ -25,7 +25,8 @@ app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', origin);
   res.setHeader('Access-Control-Allow-Credentials', 'true');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, X-Requested-With, Origin');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, X-Requested-With, Origin, X-User, Idempotency-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'Idempotent-Replayed');
   if (req.method === 'OPTIONS') {
     res.setHeader('Access-Control-Max-Age', '86400');
     return res.sendStatus(204);
@@ -37,7 +38,8 @@ app.use(cors({
   origin: function (o, cb) { cb(null, true); },
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
     credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Requested-With', 'Origin'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Requested-With', 'Origin', 'X-User', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   optionsSuccessStatus: 204,
 }));
 
@@ -74,6 +76,16 @@ try {
   app.use('/api/history', require(path.join(apiDir, 'routes', 'history')));
   app.use('/api/customer-history', require(path.join(apiDir, 'routes', 'customerHistory')));
   app.use('/api/reset', require(path.join(apiDir, 'routes', 'reset')));
+  app.use('/api/returns', require(path.join(apiDir, 'routes', 'returns')));
+  app.use('/api/quotations', require(path.join(apiDir, 'routes', 'quotations')));
+  app.use('/api/pricing-rules', require(path.join(apiDir, 'routes', 'pricingRules')));
+  app.use('/api/price-lists', require(path.join(apiDir, 'routes', 'priceLists')));
+  app.use('/api/day-close', require(path.join(apiDir, 'routes', 'dayClose')));
+  app.use('/api/promotions', require(path.join(apiDir, 'routes', 'promotions')));
+  app.use('/api/backorders', require(path.join(apiDir, 'routes', 'backorders')));
+  app.use('/api/customers', require(path.join(apiDir, 'routes', 'customers')));
+  app.use('/api/collections', require(path.join(apiDir, 'routes', 'collections')));
+  app.use('/api/reminders', require(path.join(apiDir, 'routes', 'reminders')));
 } catch (e) {
   console.error('Route load failed:', e.message);
   app.use('/api/*', (req, res) => res.status(503).json({ error: 'Routes failed to load', hint: 'Set Root Directory to folder containing api, routes, models.' }));
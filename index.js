@@ -10,6 +10,16 @@ const analyticsRoutes = require('./routes/analytics');
 const historyRoutes = require('./routes/history');
 const customerHistoryRoutes = require('./routes/customerHistory');
 const resetRoutes = require('./routes/reset');
+const returnsRoutes = require('./routes/returns');
+const quotationsRoutes = require('./routes/quotations');
+const pricingRulesRoutes = require('./routes/pricingRules');
+const priceListsRoutes = require('./routes/priceLists');
+const dayCloseRoutes = require('./routes/dayClose');
+const promotionsRoutes = require('./routes/promotions');
+const backordersRoutes = require('./routes/backorders');
+const customersRoutes = require('./routes/customers');
+const collectionsRoutes = require('./routes/collections');
+const remindersRoutes = require('./routes/reminders');
 
 const app = express();
 
@@ -43,7 +53,8 @@ app.use(
     },
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
     credentials: true,
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-User', 'Idempotency-Key'],
+    exposedHeaders: ['Idempotent-Replayed'],
   })
 );
 
@@ -186,6 +197,16 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/history', historyRoutes);
 app.use('/api/customer-history', customerHistoryRoutes);
 app.use('/api/reset', resetRoutes);
+app.use('/api/returns', returnsRoutes);
+app.use('/api/quotations', quotationsRoutes);
+app.use('/api/pricing-rules', pricingRulesRoutes);
+app.use('/api/price-lists', priceListsRoutes);
+app.use('/api/day-close', dayCloseRoutes);
+app.use('/api/promotions', promotionsRoutes);
+app.use('/api/backorders', backordersRoutes);
+app.use('/api/customers', customersRoutes);
+app.use('/api/collections', collectionsRoutes);
+app.use('/api/reminders', remindersRoutes);
 
 /* -----------------------------------------
    ✅ 404 Handler (MUST BE LAST)
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const FulfilmentSchema = new mongoose.Schema({
+  quantity: { type: Number, required: true, min: 1 },
+  date: { type: Date, default: Date.now },
+  note: { type: String, trim: true, default: '' }
+}, { _id: false });
+
+const BackorderComponentSchema = new mongoose.Schema({
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+  name: { type: String, trim: true, default: '' },
+  quantity: { type: Number, required: true, min: 1 } // Per bundle
+}, { _id: false });
+
+// Units of a slip line that were sold (and paid for) but not in stock; handed over as stock comes in
+const BackorderSchema = new mongoose.Schema({
+  slipId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Slip',
+    required: true,
+    index: true
+  },
+
+  slipNumber: { type: String, trim: true, default: '' },
+
+  // Position in the slip's products array
+  lineIndex: { type: Number, required: true, min: 0 },
+
+  customerName: { type: String, trim: true, default: '' },
+
+  customerPhone: { type: String, trim: true, default: '' },
+
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true,
+    index: true
+  },
+
+  sku: { type: String, trim: true, default: '' },
+
+  productName: { type: String, trim: true, default: '' },
+
+  productType: { type: String, trim: true, default: '' },
+
+  // Bundle backorders are served from these items
+  components: { type: [BackorderComponentSchema], default: [] },
+
+  quantity: { type: Number, required: true, min: 1 },
+
+  fulfilledQuantity: { type: Number, default: 0, min: 0 },
+
+  fulfilments: { type: [FulfilmentSchema], default: [] },
+
+  status: {
+    type: String,
+    enum: ['Pending', 'Fulfilled', 'Cancelled'],
+    default: 'Pending',
+    index: true
+  },
+
+  fulfilledAt: { type: Date, default: null },
+
+  cancelledAt: { type: Date, default: null }
+}, { timestamps: true });
+
+BackorderSchema.index({ status: 1, createdAt: 1 });
+BackorderSchema.index({ 'components.itemId': 1 });
+
+module.exports = mongoose.models.Backorder || mongoose.model('Backorder', BackorderSchema);
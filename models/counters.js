@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// One document per numbering sequence, e.g. 'slip:2026' or 'slip:20261019'
+const CounterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+}, { timestamps: true });
+
+// Atomically increment and return the next value. Pass the caller's session so the
+// increment commits or rolls back with the document that uses the number (no gaps).
+CounterSchema.statics.next = async function (key, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.models.Counter || mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// One change to a customer's balance; amount is positive when the customer owes more
+const CustomerLedgerEntrySchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+
+  date: { type: Date, default: Date.now },
+
+  type: {
+    type: String,
+    enum: ['Opening', 'Sale', 'Edit', 'Return', 'Cancellation', 'Payment', 'Adjustment'],
+    required: true
+  },
+
+  amount: { type: Number, required: true },
+
+  // Customer balance right after this entry
+  balanceAfter: { type: Number, required: true },
+
+  slipId: { type: mongoose.Schema.Types.ObjectId, ref: 'Slip', default: null },
+
+  slipNumber: { type: String, trim: true, default: '' },
+
+  returnId: { type: mongoose.Schema.Types.ObjectId, ref: 'Return', default: null },
+
+  collectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'UdharCollection', default: null },
+
+  note: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+CustomerLedgerEntrySchema.index({ customerId: 1, createdAt: 1 });
+CustomerLedgerEntrySchema.index({ slipId: 1 });
+
+module.exports = mongoose.models.CustomerLedgerEntry || mongoose.model('CustomerLedgerEntry', CustomerLedgerEntrySchema);
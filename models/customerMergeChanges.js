@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// One document a customer merge re-pointed, with the customer fields it held before; one row each
+// so a merge of busy customers never outgrows a single document
+const CustomerMergeChangeSchema = new mongoose.Schema({
+  mergeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerMerge',
+    required: true
+  },
+
+  model: { type: String, required: true },
+
+  docId: { type: mongoose.Schema.Types.ObjectId, required: true },
+
+  before: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { timestamps: true });
+
+CustomerMergeChangeSchema.index({ mergeId: 1, model: 1 });
+
+module.exports = mongoose.models.CustomerMergeChange || mongoose.model('CustomerMergeChange', CustomerMergeChangeSchema);
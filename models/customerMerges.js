@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const MergedSourceSchema = new mongoose.Schema({
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+  name: { type: String, trim: true, default: '' },
+  phone: { type: String, trim: true, default: '' },
+  balance: { type: Number, default: 0 } // Moved onto the target
+}, { _id: false });
+
+// Duplicate customer records folded into one, kept so the merge can be undone
+const CustomerMergeSchema = new mongoose.Schema({
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+
+  targetName: { type: String, trim: true, default: '' },
+
+  // The target's phone and aliases before the merge added to them
+  targetBefore: {
+    phone: { type: String, trim: true, default: '' },
+    aliases: { type: [mongoose.Schema.Types.Mixed], default: [] }
+  },
+
+  sources: { type: [MergedSourceSchema], default: [] },
+
+  balanceMoved: { type: Number, default: 0 },
+
+  // Documents changed per collection, e.g. { slips: 12, income: 12, ledgerEntries: 14 }.
+  // What each one held before is in CustomerMergeChange.
+  counts: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  mergedBy: { type: String, trim: true, default: '' },
+
+  undoneAt: { type: Date, default: null },
+
+  undoneBy: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+CustomerMergeSchema.index({ 'sources.customerId': 1 });
+CustomerMergeSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.models.CustomerMerge || mongoose.model('CustomerMerge', CustomerMergeSchema);
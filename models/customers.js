@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const CustomerSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+
+  // Lowercased name with single spaces, so "Ali Bhai" and "ali  bhai" are one customer
+  nameKey: { type: String, required: true, index: true },
+
+  // Digits only, local format (03001234567)
+  phone: { type: String, trim: true, default: '', index: true },
+
+  address: { type: String, trim: true, default: '' },
+
+  type: {
+    type: String,
+    enum: ['Retail', 'Wholesale', 'Mechanic'],
+    default: 'Retail'
+  },
+
+  // What the customer owes on Udhar; only changed through ledger entries
+  balance: { type: Number, default: 0 },
+
+  // Most the customer may owe on Udhar; null uses UDHAR_CREDIT_LIMIT, 0 allows no Udhar at all
+  creditLimit: { type: Number, default: null, min: 0 },
+
+  notes: { type: String, trim: true, default: '' },
+
+  // Names and phones of duplicate records merged into this one; new sales under them land here
+  aliases: {
+    type: [{
+      _id: false,
+      name: { type: String, trim: true, default: '' },
+      nameKey: { type: String, default: '' },
+      phone: { type: String, trim: true, default: '' }
+    }],
+    default: []
+  },
+
+  // Set on a record folded into another by a merge
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', default: null },
+
+  isActive: { type: Boolean, default: true, index: true }
+}, { timestamps: true });
+
+// One active customer per name and phone, so two first sales under a new name at once cannot both create one
+CustomerSchema.index({ nameKey: 1, phone: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+CustomerSchema.index({ 'aliases.nameKey': 1 });
+CustomerSchema.index({ 'aliases.phone': 1 });
+
+CustomerSchema.pre('validate', function (next) {
+  if (this.isModified('name') || !this.nameKey) {
+    this.nameKey = String(this.name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+  next();
+});
+
+module.exports = mongoose.models.Customer || mongoose.model('Customer', CustomerSchema);
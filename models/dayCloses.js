@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const MethodTotalSchema = new mongoose.Schema({
+  method: { type: String, required: true },
+  amount: { type: Number, default: 0 }, // Net of refunds, so it can be negative
+  count: { type: Number, default: 0 }
+}, { _id: false });
+
+// Z-report: the day's figures frozen at closing with the cash the owner counted. Written once, never changed.
+const DayCloseSchema = new mongoose.Schema({
+  // Shop-local day, YYYY-MM-DD
+  businessDate: { type: String, required: true, unique: true, match: /^\d{4}-\d{2}-\d{2}$/, immutable: true },
+
+  from: { type: Date, required: true, immutable: true },
+  to: { type: Date, required: true, immutable: true },
+
+  closedAt: { type: Date, default: Date.now, immutable: true },
+  closedBy: { type: String, trim: true, default: 'unknown', immutable: true },
+
+  // Slips dated that day (parked slips excluded); cancelled ones are counted here and below
+  slips: {
+    count: { type: Number, default: 0 },
+    subtotal: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 }
+  },
+
+  // Slips cancelled that day, whatever day they were sold
+  cancellations: {
+    count: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+    slipNumbers: { type: [String], default: [] }
+  },
+
+  returns: {
+    count: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+    cashRefund: { type: Number, default: 0 },
+    udharCredit: { type: Number, default: 0 }
+  },
+
+  // Active Udhar slips of the day: what was billed, paid at the counter and left on credit
+  udhar: {
+    count: { type: Number, default: 0 },
+    billed: { type: Number, default: 0 },
+    partialPayments: { type: Number, default: 0 },
+    credited: { type: Number, default: 0 }
+  },
+
+  // Active Income of the day split per payment method
+  paymentMethods: { type: [MethodTotalSchema], default: [] },
+  incomeTotal: { type: Number, default: 0 },
+
+  openingCash: { type: Number, default: 0, min: 0 },
+  // openingCash plus the net Cash from Income
+  expectedCash: { type: Number, default: 0 },
+  countedCash: { type: Number, required: true, min: 0 },
+  // countedCash - expectedCash: negative when the drawer is short
+  difference: { type: Number, default: 0 },
+
+  notes: { type: String, trim: true, default: '' }
+});
+
+DayCloseSchema.index({ from: -1 });
+
+// A closed day is locked: block every update path (deleteMany is still allowed for resets)
+const rejectUpdate = function () {
+  throw new Error('Closed days cannot be changed');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne'].forEach(op => {
+  DayCloseSchema.pre(op, rejectUpdate);
+});
+DayCloseSchema.pre('save', function () {
+  if (!this.isNew) throw new Error('Closed days cannot be changed');
+});
+
+module.exports = mongoose.models.DayClose || mongoose.model('DayClose', DayCloseSchema);
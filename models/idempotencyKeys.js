@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A client-supplied Idempotency-Key and the document its first request created
+const IdempotencyKeySchema = new mongoose.Schema({
+  _id: { type: String, required: true }, // `${scope}:${key}`
+
+  scope: { type: String, required: true }, // Endpoint family, e.g. 'slips' or 'income'
+
+  key: { type: String, required: true },
+
+  // SHA-256 of the request body; a key reused with a different body is rejected
+  requestHash: { type: String, required: true },
+
+  statusCode: { type: Number, default: null },
+
+  documentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+  // Removed by MongoDB's TTL monitor once the retention window has passed
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.IdempotencyKey || mongoose.model('IdempotencyKey', IdempotencyKeySchema);
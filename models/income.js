@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const PaymentSchema = require('./payment');
 
 const SoldProductSchema = new mongoose.Schema({
   productName: { 
@@ -14,7 +15,7 @@ const SoldProductSchema = new mongoose.Schema({
   },
   productType: { 
     type: String, 
-    enum: ['Cover', 'Form', 'Plate'], 
+    enum: ['Cover', 'Form', 'Plate', 'Bundle'], 
     default: 'Cover' 
   },
   coverType: { 
@@ -52,10 +53,10 @@ const SoldProductSchema = new mongoose.Schema({
     trim: true, 
     default: '' 
   },
+  // quantity and totalPrice are negative on Return entries (checked in pre-validate)
   quantity: { 
     type: Number, 
-    required: true,
-    min: 1
+    required: true
   },
   unitPrice: { 
     type: Number, 
@@ -64,8 +65,7 @@ const SoldProductSchema = new mongoose.Schema({
   },
   totalPrice: { 
     type: Number, 
-    required: true,
-    min: 0
+    required: true
   },
   category: {
     type: String,
@@ -87,10 +87,16 @@ const IncomeSchema = new mongoose.Schema({
     default: Date.now,
     index: true
   },
+  // Negative for Return entries so sums over Income net out returned goods
   totalIncome: { 
     type: Number, 
-    required: true,
-    min: 0
+    required: true
+  },
+  entryType: {
+    type: String,
+    enum: ['Sale', 'Return', 'Collection'],
+    default: 'Sale',
+    index: true
   },
   productsSold: [SoldProductSchema],
   notes: {
@@ -103,11 +109,21 @@ const IncomeSchema = new mongoose.Schema({
     enum: ['Cash', 'Udhar', 'Account', 'Card', 'UPI', 'Bank Transfer', 'Credit', 'Other'],
     default: 'Cash'
   },
+  // Per-method split of totalIncome (copied from the slip); empty on older records
+  payments: {
+    type: [PaymentSchema],
+    default: []
+  },
   customerName: {
     type: String,
     default: '',
     trim: true
   },
+  customerPhone: {
+    type: String,
+    default: '',
+    trim: true
+  },
   slipNumber: {
     type: String,
     default: '',
@@ -120,6 +136,16 @@ const IncomeSchema = new mongoose.Schema({
     default: null,
     index: true
   },
+  returnId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return',
+    default: null
+  },
+  collectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UdharCollection',
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -236,6 +262,45 @@ IncomeSchema.statics.getIncomeTrends = function(period = 'month', limit = 12) {
   ]);
 };
 
+// Sales carry positive amounts, returns carry negative ones
+IncomeSchema.pre('validate', function(next) {
+  // Udhar paid off later: the Udhar tender goes down by what came in, so totalIncome stays 0
+  if (this.entryType === 'Collection') {
+    if (this.totalIncome !== 0) {
+      this.invalidate('totalIncome', 'totalIncome must be 0 for Collection entries', this.totalIncome);
+    }
+    if (this.productsSold.length > 0) {
+      this.invalidate('productsSold', 'Collection entries have no products');
+    }
+    const net = this.payments.reduce((sum, payment) => sum + payment.amount, 0);
+    if (Math.abs(net) > 0.01) {
+      this.invalidate('payments', `payments must net to 0 for Collection entries (got ${net})`);
+    }
+    return next();
+  }
+
+  const sign = this.entryType === 'Return' ? -1 : 1;
+
+  if (this.totalIncome * sign < 0) {
+    this.invalidate('totalIncome', `totalIncome cannot be ${sign > 0 ? 'negative' : 'positive'} for ${this.entryType} entries`, this.totalIncome);
+  }
+  this.productsSold.forEach((product, i) => {
+    if (product.quantity * sign < 1) {
+      this.invalidate(`productsSold.${i}.quantity`, `quantity must be ${sign > 0 ? 'at least 1' : 'at most -1'} for ${this.entryType} entries`, product.quantity);
+    }
+    if (product.totalPrice * sign < 0) {
+      this.invalidate(`productsSold.${i}.totalPrice`, `totalPrice cannot be ${sign > 0 ? 'negative' : 'positive'} for ${this.entryType} entries`, product.totalPrice);
+    }
+  });
+  this.payments.forEach((payment, i) => {
+    if (payment.amount * sign < 0) {
+      this.invalidate(`payments.${i}.amount`, `payment amount cannot be ${sign > 0 ? 'negative' : 'positive'} for ${this.entryType} entries`, payment.amount);
+    }
+  });
+
+  next();
+});
+
 // Pre-save middleware to validate total price
 IncomeSchema.pre('save', function(next) {
   const calculatedTotal = this.productsSold.reduce((sum, product) => sum + product.totalPrice, 0);
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 
+// One part of a bundle: an existing item and how many of it go into one bundle
+const BundleComponentSchema = new mongoose.Schema({
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+  quantity: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
 const ItemSchema = new mongoose.Schema({
   name: { 
     type: String, 
@@ -18,10 +24,10 @@ const ItemSchema = new mongoose.Schema({
     index: true,
     default: ''
   },
-  // Product Type: Cover, Form, or Plate
+  // Product Type: Cover, Form, Plate, or Bundle (a kit sold as one item, see components)
   productType: {
     type: String,
-    enum: ['Cover', 'Form', 'Plate'],
+    enum: ['Cover', 'Form', 'Plate', 'Bundle'],
     required: true,
     default: 'Cover',
     index: true
@@ -97,6 +103,12 @@ const ItemSchema = new mongoose.Schema({
     default: '',
     index: true
   },
+  // Bundle-only: the items one bundle is made of. A bundle holds no stock of its own;
+  // selling it takes its components out of stock and its availability is computed from them.
+  components: {
+    type: [BundleComponentSchema],
+    default: []
+  },
   category: { 
     type: String, 
     default: "General",
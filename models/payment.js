@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_METHODS = ['Cash', 'Udhar', 'Account', 'Card', 'UPI', 'Bank Transfer', 'Credit', 'Other'];
+
+// One tender of a split payment, shared by slips and income records
+const PaymentSchema = new mongoose.Schema({
+  method: { type: String, enum: PAYMENT_METHODS, required: true },
+  // Negative on Return income entries (refunds)
+  amount: { type: Number, required: true },
+  reference: { type: String, trim: true, default: '' } // Transfer ID, card slip, cheque number...
+}, { _id: false });
+
+module.exports = PaymentSchema;
+module.exports.PAYMENT_METHODS = PAYMENT_METHODS;
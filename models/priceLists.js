@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One price on a list: either a specific inventory item or every item with these attributes
+const PriceListEntrySchema = new mongoose.Schema({
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', default: null },
+  productType: { type: String, enum: ['Cover', 'Form', 'Plate', 'Bundle', ''], default: '' },
+  coverType: { type: String, trim: true, default: '' },
+  bikeName: { type: String, trim: true, default: '' },
+  plateCompany: { type: String, trim: true, default: '' },
+  plateType: { type: String, trim: true, default: '' },
+  formCompany: { type: String, trim: true, default: '' },
+  formType: { type: String, trim: true, default: '' },
+  formVariant: { type: String, trim: true, default: '' },
+  price: { type: Number, required: true, min: 0 } // Base price for customers on this list
+}, { _id: false });
+
+// Named rate card (e.g. Wholesale, Mechanic) assigned to customers
+const PriceListSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, unique: true },
+
+  description: { type: String, trim: true, default: '' },
+
+  entries: { type: [PriceListEntrySchema], default: [] },
+
+  // A customer is on at most one list, so a rename or merge does not take them off it
+  customerIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Customer' }], default: [] },
+
+  // Names assigned before lists were keyed on customers; matched case-insensitively when no customerIds entry applies
+  customers: { type: [{ type: String, trim: true }], default: [] },
+
+  isActive: { type: Boolean, default: true, index: true }
+}, { timestamps: true });
+
+PriceListSchema.index({ customerIds: 1 });
+PriceListSchema.index({ customers: 1 });
+
+PriceListSchema.pre('validate', function (next) {
+  this.entries.forEach((entry, i) => {
+    if (!entry.itemId && !entry.productType) {
+      this.invalidate(`entries.${i}`, 'Each entry needs an itemId or at least a productType', entry);
+    }
+  });
+  next();
+});
+
+module.exports = mongoose.models.PriceList || mongoose.model('PriceList', PriceListSchema);
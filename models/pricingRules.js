@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Discount once quantity reaches minQuantity; the highest tier reached applies
+const PricingTierSchema = new mongoose.Schema({
+  minQuantity: { type: Number, required: true, min: 1 },
+  type: { type: String, enum: ['fixed', 'percentage'], default: 'fixed' },
+  // Rupees off per unit for 'fixed', percent of the base price for 'percentage'
+  value: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Every listed condition must match a line; an empty list matches anything (case-insensitive)
+const PricingConditionsSchema = new mongoose.Schema({
+  productType: { type: [String], default: [] },
+  coverType: { type: [String], default: [] },
+  bikeName: { type: [String], default: [] },
+  plateCompany: { type: [String], default: [] },
+  formCompany: { type: [String], default: [] },
+  customerName: { type: [String], default: [] }
+}, { _id: false });
+
+const PricingRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+
+  description: { type: String, trim: true, default: '' },
+
+  conditions: { type: PricingConditionsSchema, default: () => ({}) },
+
+  tiers: {
+    type: [PricingTierSchema],
+    validate: {
+      validator: tiers => tiers.length > 0,
+      message: 'At least one quantity tier is required'
+    }
+  },
+
+  // When several rules match a line, the highest priority wins, then the biggest discount
+  priority: { type: Number, default: 0 },
+
+  // Optional date window; open-ended when not set
+  startDate: { type: Date, default: null },
+  endDate: { type: Date, default: null },
+
+  isActive: { type: Boolean, default: true, index: true }
+}, { timestamps: true });
+
+PricingRuleSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'endDate cannot be before startDate', this.endDate);
+  }
+  this.tiers.forEach((tier, i) => {
+    if (tier.type === 'percentage' && tier.value > 100) {
+      this.invalidate(`tiers.${i}.value`, 'Percentage discount cannot exceed 100', tier.value);
+    }
+  });
+  next();
+});
+
+module.exports = mongoose.models.PricingRule || mongoose.model('PricingRule', PricingRuleSchema);
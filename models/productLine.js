@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Item (and count per bundle) a bundle line took out of stock
+const BundleComponentLineSchema = new mongoose.Schema({
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+  sku: { type: String, trim: true, default: '' },
+  name: { type: String, trim: true, default: '' },
+  quantity: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+// Priced product line shared by slips and quotations
+const ProductSchema = new mongoose.Schema({
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', default: null }, // Inventory item the line was sold from
+  sku: { type: String, trim: true, default: '' }, // Item SKU at the time of sale
+  productName: { type: String, required: false, trim: true, default: '' },
+  productType: { type: String, enum: ['Cover', 'Form', 'Plate', 'Bundle'], default: 'Cover' },
+  coverType: { type: String, trim: true, default: "" },
+  // Plate-specific fields
+  plateCompany: { type: String, enum: ['DY', 'AH', 'BELTA', ''], default: "" },
+  bikeName: { type: String, trim: true, default: "" },
+  plateType: { type: String, trim: true, default: "" },
+  // Form-specific fields
+  formCompany: { type: String, enum: ['AG', 'MR', 'UC', 'MASTER', ''], default: "" },
+  formType: { type: String, enum: ['Soft', 'Hard', ''], default: "" },
+  formVariant: { type: String, trim: true, default: "" },
+  quantity: { type: Number, required: true, min: 1 },
+  basePrice: { type: Number, required: true, min: 0 }, // Original base 
+  unitPrice: { type: Number, required: true, min: 0 }, // Final price after discounts/overrides
+  discountAmount: { type: Number, default: 0, min: 0 }, // Discount applied
+  discountType: { type: String, enum: ['none', 'bulk', 'rule', 'promotion', 'manual'], default: 'none' }, // Type of discount ('bulk' on lines priced before pricing rules)
+  pricingRuleId: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule', default: null }, // Rule that gave the discount
+  pricingRuleName: { type: String, trim: true, default: '' }, // Rule name at the time of sale
+  priceListId: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceList', default: null }, // Customer price list that set basePrice
+  priceListName: { type: String, trim: true, default: '' },
+  promotionDiscount: { type: Number, default: 0, min: 0 }, // Part of discountAmount from the slip's promotion code
+  totalPrice: { type: Number, required: true, min: 0 },
+  returnedQuantity: { type: Number, default: 0, min: 0 }, // Units brought back through returns
+  backorderQuantity: { type: Number, default: 0, min: 0 }, // Units sold but not yet handed over (see Backorder)
+  category: { type: String, trim: true, default: "" },
+  subcategory: { type: String, trim: true, default: "" },
+  company: { type: String, trim: true, default: "" },
+  components: { type: [BundleComponentLineSchema], default: [] } // Bundle lines only
+}, { _id: false });
+
+module.exports = ProductSchema;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const RedeemedLineSchema = new mongoose.Schema({
+  lineIndex: { type: Number, required: true, min: 0 }, // Position in the slip's products array
+  productName: { type: String, trim: true, default: '' },
+  quantity: { type: Number, required: true, min: 1 },
+  discountAmount: { type: Number, required: true, min: 0 } // Promotion discount on the whole line
+}, { _id: false });
+
+// One use of a promotion code on a slip
+const PromotionRedemptionSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true,
+    index: true
+  },
+
+  code: { type: String, trim: true, required: true },
+
+  slipId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Slip',
+    required: true,
+    unique: true
+  },
+
+  slipNumber: { type: String, trim: true, default: '' },
+
+  // Customer the slip was linked to; per-customer limits count by this, so renames and merges keep their uses
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', default: null },
+
+  customerName: { type: String, trim: true, default: '' },
+
+  lines: { type: [RedeemedLineSchema], default: [] },
+
+  discountAmount: { type: Number, required: true, min: 0 },
+
+  // Slip total after the promotion
+  slipTotal: { type: Number, default: 0, min: 0 },
+
+  redeemedAt: { type: Date, default: Date.now },
+
+  // Set when the slip is cancelled or deleted; the use no longer counts against the limits
+  reversedAt: { type: Date, default: null }
+});
+
+PromotionRedemptionSchema.index({ redeemedAt: -1 });
+PromotionRedemptionSchema.index({ promotionId: 1, customerId: 1 });
+PromotionRedemptionSchema.index({ promotionId: 1, customerName: 1 });
+
+module.exports = mongoose.models.PromotionRedemption || mongoose.model('PromotionRedemption', PromotionRedemptionSchema);
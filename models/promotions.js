@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Lines a promotion applies to; an empty list matches anything (case-insensitive)
+const PromotionEligibilitySchema = new mongoose.Schema({
+  productType: { type: [String], default: [] },
+  coverType: { type: [String], default: [] }
+}, { _id: false });
+
+// A code the cashier enters at checkout, e.g. EID15 or a mechanic network code
+const PromotionSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, trim: true, uppercase: true },
+
+  name: { type: String, required: true, trim: true },
+
+  description: { type: String, trim: true, default: '' },
+
+  eligibility: { type: PromotionEligibilitySchema, default: () => ({}) },
+
+  type: { type: String, enum: ['fixed', 'percentage'], default: 'percentage' },
+
+  // Rupees off per unit for 'fixed', percent of the line's unit price for 'percentage'
+  value: { type: Number, required: true, min: 0 },
+
+  // Usage limits; null means unlimited
+  maxRedemptions: { type: Number, default: null, min: 1 },
+  maxRedemptionsPerCustomer: { type: Number, default: null, min: 1 },
+
+  // Slips that used the code and were not cancelled
+  redemptionCount: { type: Number, default: 0, min: 0 },
+
+  // Optional date window; open-ended when not set
+  startDate: { type: Date, default: null },
+  endDate: { type: Date, default: null },
+
+  isActive: { type: Boolean, default: true, index: true }
+}, { timestamps: true });
+
+PromotionSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'endDate cannot be before startDate', this.endDate);
+  }
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discount cannot exceed 100', this.value);
+  }
+  next();
+});
+
+module.exports = mongoose.models.Promotion || mongoose.model('Promotion', PromotionSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { nextDocumentNumber } = require('../utils/numbering');
+const ProductSchema = require('./productLine');
+
+// Price quote: priced like a slip, but reserves no stock and creates no Income
+const QuotationSchema = new mongoose.Schema({
+  quotationNumber: { type: String, unique: true, trim: true },
+
+  date: { type: Date, default: Date.now },
+
+  validUntil: { type: Date, required: true },
+
+  customerName: {
+    type: String,
+    default: 'Walk Customer',
+    trim: true
+  },
+
+  customerPhone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  products: [ProductSchema],
+
+  subtotal: { type: Number, required: true, min: 0 },
+
+  discount: { type: Number, default: 0, min: 0 },
+
+  totalAmount: { type: Number, required: true, min: 0 },
+
+  status: {
+    type: String,
+    enum: ['Open', 'Converted', 'Cancelled'],
+    default: 'Open'
+  },
+
+  // Set once the quote has been turned into a slip
+  convertedSlipId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Slip',
+    default: null
+  },
+
+  convertedAt: {
+    type: Date,
+    default: null
+  }
+
+}, { timestamps: true });
+
+QuotationSchema.index({ date: -1 });
+QuotationSchema.index({ customerName: 1 });
+
+// Quotation number (QTN-2026-000001) from the counters collection
+QuotationSchema.pre('save', async function () {
+  if (!this.quotationNumber) {
+    this.quotationNumber = await nextDocumentNumber({
+      series: 'quotation',
+      prefix: 'QTN',
+      reset: process.env.SLIP_NUMBER_RESET || 'yearly',
+      padding: parseInt(process.env.SLIP_NUMBER_PADDING) || 6
+    }, this.$session(), this.date || new Date());
+  }
+});
+
+module.exports = mongoose.models.Quotation || mongoose.model('Quotation', QuotationSchema);
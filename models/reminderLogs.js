@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// One reminder send attempt and what came of it
+const ReminderLogSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+
+  customerName: { type: String, trim: true, default: '' },
+
+  ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'ReminderRule', default: null },
+
+  ruleName: { type: String, trim: true, default: '' },
+
+  channel: { type: String, enum: ['sms', 'whatsapp'], required: true },
+
+  provider: { type: String, trim: true, default: '' },
+
+  to: { type: String, trim: true, default: '' },
+
+  message: { type: String, default: '' },
+
+  // Balance the message quoted
+  balance: { type: Number, default: 0 },
+
+  status: { type: String, enum: ['Sent', 'Failed', 'Skipped'], required: true },
+
+  // Id the provider gave the message, for tracing it on their side
+  providerMessageId: { type: String, trim: true, default: '' },
+
+  error: { type: String, trim: true, default: '' },
+
+  attemptedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+ReminderLogSchema.index({ customerId: 1, attemptedAt: -1 });
+ReminderLogSchema.index({ attemptedAt: -1 });
+
+module.exports = mongoose.models.ReminderLog || mongoose.model('ReminderLog', ReminderLogSchema);
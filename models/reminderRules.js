@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// When to remind a customer about their Udhar, and what to send them
+const ReminderRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, unique: true },
+
+  // Customers owing at least this much
+  minBalance: { type: Number, default: 0, min: 0 },
+
+  // ...whose oldest unpaid Udhar slip is at least this many days old
+  minDaysOutstanding: { type: Number, default: 0, min: 0 },
+
+  // A customer reminded within this many days (by any rule) is left alone
+  cooldownDays: { type: Number, default: 7, min: 0 },
+
+  channel: { type: String, enum: ['sms', 'whatsapp'], default: 'whatsapp' },
+
+  // Placeholders: {name} {balance} {lastSlipNumber} {lastSlipDate} {lastSlipAmount} {oldestDays} {shop}
+  template: {
+    type: String,
+    trim: true,
+    default: 'Assalam-o-Alaikum {name}, your balance at {shop} is Rs. {balance}. ' +
+      'Last bill {lastSlipNumber} on {lastSlipDate} for Rs. {lastSlipAmount}. Please clear your dues. Thank you.'
+  },
+
+  isActive: { type: Boolean, default: true, index: true }
+}, { timestamps: true });
+
+module.exports = mongoose.models.ReminderRule || mongoose.model('ReminderRule', ReminderRuleSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { nextDocumentNumber } = require('../utils/numbering');
+
+const ReturnLineSchema = new mongoose.Schema({
+  lineIndex: { type: Number, required: true, min: 0 }, // Position in the original slip's products array
+  productName: { type: String, trim: true, default: '' },
+  productType: { type: String, enum: ['Cover', 'Form', 'Plate', 'Bundle'], default: 'Cover' },
+  coverType: { type: String, trim: true, default: '' },
+  plateType: { type: String, trim: true, default: '' },
+  formVariant: { type: String, trim: true, default: '' },
+  bikeName: { type: String, trim: true, default: '' },
+  quantity: { type: Number, required: true, min: 1 },
+  unitPrice: { type: Number, required: true, min: 0 }, // Price the customer paid per unit
+  totalPrice: { type: Number, required: true, min: 0 },
+  restocked: { type: Boolean, default: false } // False if no inventory item was found to restock
+}, { _id: false });
+
+// Credit note for goods brought back against a slip
+const ReturnSchema = new mongoose.Schema({
+  returnNumber: { type: String, unique: true, trim: true },
+
+  date: { type: Date, default: Date.now },
+
+  slipId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Slip',
+    required: true,
+    index: true
+  },
+
+  slipNumber: { type: String, trim: true, default: '' },
+
+  customerName: { type: String, trim: true, default: '' },
+
+  customerPhone: { type: String, trim: true, default: '' },
+
+  paymentMethod: {
+    type: String,
+    enum: ['Cash', 'Udhar', 'Account', 'Card', 'UPI', 'Bank Transfer', 'Credit', 'Other'],
+    default: 'Cash'
+  },
+
+  lines: [ReturnLineSchema],
+
+  // Line totals less the share of the slip-level discount
+  totalAmount: { type: Number, required: true, min: 0 },
+
+  // Part of totalAmount taken off the customer's Udhar balance
+  udharCredit: { type: Number, default: 0, min: 0 },
+
+  // Part of totalAmount handed back to the customer
+  cashRefund: { type: Number, default: 0, min: 0 },
+
+  reason: { type: String, trim: true, default: '' },
+
+  notes: { type: String, trim: true, default: '' }
+
+}, { timestamps: true });
+
+ReturnSchema.index({ date: -1 });
+ReturnSchema.index({ customerName: 1 });
+
+// Credit note number (RTN-2026-000001) from the counters collection, in the save's session
+ReturnSchema.pre('save', async function () {
+  if (!this.returnNumber) {
+    this.returnNumber = await nextDocumentNumber({
+      series: 'return',
+      prefix: 'RTN',
+      reset: process.env.SLIP_NUMBER_RESET || 'yearly',
+      padding: parseInt(process.env.SLIP_NUMBER_PADDING) || 6
+    }, this.$session(), this.date || new Date());
+  }
+});
+
+module.exports = mongoose.models.Return || mongoose.model('Return', ReturnSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const FieldChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true }, // Dotted path, e.g. products.0.unitPrice
+  from: { type: mongoose.Schema.Types.Mixed, default: null },
+  to: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+// What a slip looked like before one change. Written once, never changed.
+const SlipVersionSchema = new mongoose.Schema({
+  slipId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Slip',
+    required: true,
+    immutable: true
+  },
+
+  slipNumber: { type: String, trim: true, default: '', immutable: true },
+
+  // 1 is the slip as first saved, 2 is after the first edit, ...
+  version: { type: Number, required: true, min: 1, immutable: true },
+
+  // What changed the slip: an edit, a cancellation or deletion, or a return, Udhar collection,
+  // backorder fulfilment, balance recompute, customer merge or backfill touching it
+  action: {
+    type: String,
+    enum: ['update', 'cancel', 'delete', 'return', 'collection', 'backorder', 'recompute', 'merge', 'backfill'],
+    default: 'update',
+    immutable: true
+  },
+
+  changedBy: { type: String, trim: true, default: 'unknown', immutable: true },
+
+  changedAt: { type: Date, default: Date.now, immutable: true },
+
+  reason: { type: String, trim: true, default: '', immutable: true },
+
+  // Full slip document as it was before the edit
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true, immutable: true },
+
+  changes: { type: [FieldChangeSchema], default: [], immutable: true }
+});
+
+SlipVersionSchema.index({ slipId: 1, version: 1 }, { unique: true });
+
+// Versions are an audit record: block every update path (deleteMany is still allowed for resets)
+const rejectUpdate = function () {
+  throw new Error('Slip versions are immutable');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne'].forEach(op => {
+  SlipVersionSchema.pre(op, rejectUpdate);
+});
+SlipVersionSchema.pre('save', function () {
+  if (!this.isNew) throw new Error('Slip versions are immutable');
+});
+
+module.exports = mongoose.models.SlipVersion || mongoose.model('SlipVersion', SlipVersionSchema);
@@ -1,27 +1,7 @@
 const mongoose = require('mongoose');
-
-const ProductSchema = new mongoose.Schema({
-  productName: { type: String, required: false, trim: true, default: '' },
-  productType: { type: String, enum: ['Cover', 'Form', 'Plate'], default: 'Cover' },
-  coverType: { type: String, trim: true, default: "" },
-  // Plate-specific fields
-  plateCompany: { type: String, enum: ['DY', 'AH', 'BELTA', ''], default: "" },
-  bikeName: { type: String, trim: true, default: "" },
-  plateType: { type: String, trim: true, default: "" },
-  // Form-specific fields
-  formCompany: { type: String, enum: ['AG', 'MR', 'UC', 'MASTER', ''], default: "" },
-  formType: { type: String, enum: ['Soft', 'Hard', ''], default: "" },
-  formVariant: { type: String, trim: true, default: "" },
-  quantity: { type: Number, required: true, min: 1 },
-  basePrice: { type: Number, required: true, min: 0 }, // Original base 
-  unitPrice: { type: Number, required: true, min: 0 }, // Final price after discounts/overrides
-  discountAmount: { type: Number, default: 0, min: 0 }, // Discount applied
-  discountType: { type: String, enum: ['none', 'bulk', 'manual'], default: 'none' }, // Type of discount
-  totalPrice: { type: Number, required: true, min: 0 },
-  category: { type: String, trim: true, default: "" },
-  subcategory: { type: String, trim: true, default: "" },
-  company: { type: String, trim: true, default: "" }
-}, { _id: false });
+const { nextSlipNumber } = require('../utils/numbering');
+const ProductSchema = require('./productLine');
+const PaymentSchema = require('./payment');
 
 const SlipSchema = new mongoose.Schema({
   slipNumber: { type: String, unique: true, trim: true },
@@ -40,12 +20,26 @@ const SlipSchema = new mongoose.Schema({
     default: ''
   },
 
+  // Customer record the slip is charged to; null for walk-in sales and slips from before customers existed
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+
   paymentMethod: {
     type: String,
     enum: ['Cash', 'Udhar', 'Account', 'Card', 'UPI', 'Bank Transfer', 'Credit', 'Other'],
     default: 'Cash'
   },
 
+  // How the total was settled, one entry per method; adds up to totalAmount.
+  // Any Udhar share makes paymentMethod 'Udhar' and partialPayment the rest.
+  payments: {
+    type: [PaymentSchema],
+    default: []
+  },
+
   notes: {
     type: String,
     trim: true,
@@ -83,6 +77,45 @@ const SlipSchema = new mongoose.Schema({
     // Remaining balance after partial payment
   },
 
+  // Set when the bill was allowed past the customer's credit limit with overrideCreditLimit
+  creditLimitOverride: {
+    type: Boolean,
+    default: false
+  },
+
+  // Paid towards this Udhar slip after the sale, through collections
+  collectedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Promotion code redeemed at checkout; its discount is already in the line prices
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    default: null
+  },
+
+  promotionCode: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Value credited back through returns (reduces what is owed on an Udhar slip)
+  returnedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
   products: [ProductSchema],
 
   subtotal: { type: Number, required: true, min: 0 },
@@ -98,6 +131,23 @@ const SlipSchema = new mongoose.Schema({
   cancelledAt: {
     type: Date,
     default: null
+  },
+
+  // Parked (Pending) bills: stock and Income are untouched until finalization
+  parkedAt: {
+    type: Date,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Id the POS gave a slip it created offline; a re-sent slip with the same id is a duplicate
+  clientId: {
+    type: String,
+    trim: true
   }
 
 }, { timestamps: true });
@@ -105,13 +155,24 @@ const SlipSchema = new mongoose.Schema({
 // indexes
 SlipSchema.index({ date: -1 });
 SlipSchema.index({ customerName: 1 });
-
-// Auto slip 
-SlipSchema.pre('save', function (next) {
-  if (!this.slipNumber) {
-    this.slipNumber = `SLP-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+SlipSchema.index({ customerId: 1, date: -1 });
+SlipSchema.index({ clientId: 1 }, { unique: true, sparse: true });
+// MongoDB deletes parked slips once expiresAt passes (checked about once a minute)
+SlipSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0, partialFilterExpression: { status: 'Pending' } });
+
+// Parked slips hold a placeholder number so they don't use up a real one
+const PARKED_NUMBER_PREFIX = 'PARK-';
+
+// Auto slip number from the counters collection, taken in the same session as the save
+// so an aborted transaction does not use up a number. Existing slips keep their numbers.
+SlipSchema.pre('save', async function () {
+  if (this.status === 'Pending') {
+    if (!this.slipNumber) this.slipNumber = `${PARKED_NUMBER_PREFIX}${this._id}`;
+    return;
+  }
+  if (!this.slipNumber || this.slipNumber.startsWith(PARKED_NUMBER_PREFIX)) {
+    this.slipNumber = await nextSlipNumber(this.$session(), this.date || new Date());
   }
-  next();
 });
 
 module.exports = mongoose.models.Slip || mongoose.model("Slip", SlipSchema);
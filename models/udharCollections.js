@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { nextDocumentNumber } = require('../utils/numbering');
+const { PAYMENT_METHODS } = require('./payment');
+
+const AllocationSchema = new mongoose.Schema({
+  slipId: { type: mongoose.Schema.Types.ObjectId, ref: 'Slip', required: true },
+  slipNumber: { type: String, trim: true, default: '' },
+  slipDate: { type: Date, default: null },
+  outstandingBefore: { type: Number, required: true, min: 0 }, // Still owed on the slip before this payment
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Money a customer paid towards their Udhar, spread over their oldest unpaid slips first
+const UdharCollectionSchema = new mongoose.Schema({
+  receiptNumber: { type: String, unique: true, trim: true },
+
+  date: { type: Date, default: Date.now },
+
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+
+  customerName: { type: String, trim: true, default: '' },
+
+  customerPhone: { type: String, trim: true, default: '' },
+
+  amount: { type: Number, required: true, min: 0.01 },
+
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS.filter(method => method !== 'Udhar'),
+    default: 'Cash'
+  },
+
+  reference: { type: String, trim: true, default: '' }, // Transfer ID, cheque number...
+
+  allocations: { type: [AllocationSchema], default: [] },
+
+  // Paid beyond every open slip; stays on the ledger as credit
+  unallocated: { type: Number, default: 0, min: 0 },
+
+  previousBalance: { type: Number, default: 0 },
+
+  balanceAfter: { type: Number, default: 0 },
+
+  receivedBy: { type: String, trim: true, default: '' },
+
+  notes: { type: String, trim: true, default: '' }
+}, { timestamps: true });
+
+UdharCollectionSchema.index({ date: -1 });
+
+// Receipt number (RCP-2026-000001) from the counters collection, in the save's session
+UdharCollectionSchema.pre('save', async function () {
+  if (!this.receiptNumber) {
+    this.receiptNumber = await nextDocumentNumber({
+      series: 'receipt',
+      prefix: 'RCP',
+      reset: process.env.SLIP_NUMBER_RESET || 'yearly',
+      padding: parseInt(process.env.SLIP_NUMBER_PADDING) || 6
+    }, this.$session(), this.date || new Date());
+  }
+});
+
+module.exports = mongoose.models.UdharCollection || mongoose.model('UdharCollection', UdharCollectionSchema);
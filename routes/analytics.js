@@ -4,6 +4,9 @@ const mongoose = require('mongoose');
 const Item = require('../models/items');
 const Slip = require('../models/slips');
 const Income = require('../models/income');
+const { unwindPayments } = require('../utils/payments');
+const { buildAgingReport } = require('../utils/receivables');
+const { customerNameQuery } = require('../utils/priceLists');
 
 // Helper function to ensure MongoDB connection
 // This function actively tries to reconnect if disconnected
@@ -121,7 +124,7 @@ router.get('/dashboard', async (req, res) => {
       const totalRevenueResult = await Slip.aggregate([
         { 
           $match: { 
-            status: { $ne: 'Cancelled' },
+            status: { $nin: ['Cancelled', 'Pending'] },
             totalAmount: { $exists: true, $ne: null }
           } 
         },
@@ -161,7 +164,7 @@ router.get('/dashboard', async (req, res) => {
               { createdAt: { $gte: today, $lt: tomorrow } },
               { date: { $gte: today, $lt: tomorrow } }
             ],
-            status: { $ne: 'Cancelled' },
+            status: { $nin: ['Cancelled', 'Pending'] },
             totalAmount: { $exists: true, $ne: null }
           } 
         },
@@ -198,15 +201,17 @@ router.get('/dashboard', async (req, res) => {
       paymentMethods = await Slip.aggregate([
         { 
           $match: { 
-            status: { $ne: 'Cancelled' },
+            status: { $nin: ['Cancelled', 'Pending'] },
             totalAmount: { $exists: true, $ne: null }
           } 
         },
+        // Split slips count each tender under its own method
+        ...unwindPayments('totalAmount'),
         {
           $group: {
-            _id: { $ifNull: ['$paymentMethod', 'Cash'] },
+            _id: '$payment.method',
             count: { $sum: 1 },
-            total: { $sum: { $ifNull: ['$totalAmount', 0] } }
+            total: { $sum: '$payment.amount' }
           }
         }
       ]).maxTimeMS(15000).allowDiskUse(true);
@@ -232,7 +237,7 @@ router.get('/dashboard', async (req, res) => {
               { createdAt: { $gte: currentMonth } },
               { date: { $gte: currentMonth } }
             ],
-            status: { $ne: 'Cancelled' },
+            status: { $nin: ['Cancelled', 'Pending'] },
             totalAmount: { $exists: true, $ne: null }
           } 
         },
@@ -262,7 +267,7 @@ router.get('/dashboard', async (req, res) => {
               { createdAt: { $gte: currentYear } },
               { date: { $gte: currentYear } }
             ],
-            status: { $ne: 'Cancelled' },
+            status: { $nin: ['Cancelled', 'Pending'] },
             totalAmount: { $exists: true, $ne: null }
           } 
         },
@@ -377,7 +382,7 @@ router.get('/sales-trends', async (req, res) => {
               { createdAt: { $gte: startDate, $exists: true } },
               { date: { $gte: startDate, $exists: true } }
             ],
-            status: { $ne: 'Cancelled' },
+            status: { $nin: ['Cancelled', 'Pending'] },
             totalAmount: { $exists: true, $ne: null }
           }
         },
@@ -440,7 +445,7 @@ router.get('/top-products', async (req, res) => {
     const { limit = 10, period = 'all' } = req.query;
     
     let matchStage = { 
-      status: { $ne: 'Cancelled' },
+      status: { $nin: ['Cancelled', 'Pending'] },
       products: { $exists: true, $ne: [], $type: 'array' }
     };
     
@@ -637,4 +642,46 @@ router.get('/orders-by-status', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analytics/receivables-aging
+ * Outstanding Udhar by slip age (0-30, 31-60, 61-90, 90+ days): totals per bucket and one row per
+ * customer, most overdue first. Drill down with ?customerId or ?customerName, which lists the
+ * customer's open slips; ?includeSlips=true lists them for every customer.
+ */
+router.get('/receivables-aging', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const { customerId, customerName, includeSlips } = req.query;
+    const filter = { paymentMethod: 'Udhar', status: 'Paid' };
+    if (customerId) {
+      if (!mongoose.isValidObjectId(customerId)) {
+        return res.status(400).json({ error: 'Invalid customer ID format' });
+      }
+      filter.customerId = customerId;
+    } else if (customerName) {
+      filter.customerName = customerNameQuery(customerName);
+    }
+
+    const slips = await Slip.find(filter)
+      .select('slipNumber date createdAt customerId customerName customerPhone totalAmount partialPayment collectedAmount returnedAmount')
+      .sort({ date: 1 })
+      .lean()
+      .maxTimeMS(15000);
+
+    res.json(buildAgingReport(slips, {
+      includeSlips: includeSlips === 'true' || !!(customerId || customerName)
+    }));
+  } catch (error) {
+    console.error('❌ Error building receivables aging:', error);
+    res.status(500).json({ error: 'Failed to build receivables aging', details: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Backorder = require('../models/backorders');
+const { fulfilBackorders } = require('../utils/backorders');
+const { changedByFrom } = require('../utils/slipVersions');
+const { customerNameQuery } = require('../utils/priceLists');
+
+// Helper: ensure DB connection
+const ensureConnection = async () => {
+  if (mongoose.connection.readyState === 1) return true;
+  if (mongoose.connection.readyState === 2) {
+    const maxWait = 15000;
+    const start = Date.now();
+    while (mongoose.connection.readyState === 2 && Date.now() - start < maxWait) {
+      await new Promise(r => setTimeout(r, 200));
+      if (mongoose.connection.readyState === 1) return true;
+    }
+  }
+  if ((mongoose.connection.readyState === 0 || mongoose.connection.readyState === 3) && process.env.MONGO_URI) {
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        serverSelectionTimeoutMS: 10000,
+        socketTimeoutMS: 30000,
+        connectTimeoutMS: 10000,
+      });
+      await new Promise(r => setTimeout(r, 500));
+      return mongoose.connection.readyState === 1;
+    } catch (e) {
+      return false;
+    }
+  }
+  return false;
+}
+
+
+const sendError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+  if (err.name === 'CastError') {
+    return res.status(400).json({ error: 'Invalid ID format' });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ error: fallbackMessage, details: err.message });
+};
+
+// Hand over backorders in one transaction so stock and slips move together
+const fulfilInTransaction = async (options) => {
+  const session = await Backorder.startSession();
+  session.startTransaction();
+  try {
+    const delivered = await fulfilBackorders(options, session);
+    await session.commitTransaction();
+    return delivered;
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+// GET /api/backorders - List backorders (?status=Pending|Fulfilled|Cancelled, ?customerName, ?itemId)
+router.get('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const { status, customerName, itemId } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (customerName) filter.customerName = customerNameQuery(customerName);
+    if (itemId) filter.$or = [{ itemId }, { 'components.itemId': itemId }];
+
+    const backorders = await Backorder.find(filter).sort({ createdAt: 1 }).lean();
+
+    res.json({ backorders, totalBackorders: backorders.length });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch backorders');
+  }
+});
+
+// GET /api/backorders/by-customer - Units still owed, grouped by customer
+router.get('/by-customer', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const customers = await Backorder.aggregate([
+      { $match: { status: 'Pending' } },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: { $toLower: '$customerName' },
+          customerName: { $first: '$customerName' },
+          customerPhone: { $first: '$customerPhone' },
+          owed: { $sum: { $subtract: ['$quantity', '$fulfilledQuantity'] } },
+          since: { $min: '$createdAt' },
+          items: {
+            $push: {
+              backorderId: '$_id',
+              slipNumber: '$slipNumber',
+              productName: '$productName',
+              sku: '$sku',
+              quantity: { $subtract: ['$quantity', '$fulfilledQuantity'] },
+              createdAt: '$createdAt'
+            }
+          }
+        }
+      },
+      { $project: { _id: 0 } },
+      { $sort: { since: 1 } }
+    ]);
+
+    res.json({
+      customers,
+      totalOwed: customers.reduce((sum, c) => sum + c.owed, 0)
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch backorders by customer');
+  }
+});
+
+/**
+ * POST /api/backorders/fulfil
+ * Body: { itemId, note? }
+ * Hands over current stock of an item to its pending backorders, oldest first.
+ */
+router.post('/fulfil', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const { itemId, note = '' } = req.body || {};
+    if (!itemId || !mongoose.isValidObjectId(itemId)) {
+      return res.status(400).json({ error: 'A valid itemId is required' });
+    }
+
+    const backordersFulfilled = await fulfilInTransaction({ itemId, note, changedBy: changedByFrom(req) });
+
+    res.json({
+      message: `Fulfilled ${backordersFulfilled.length} backorder(s)`,
+      backordersFulfilled
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to fulfil backorders');
+  }
+});
+
+// GET /api/backorders/:id - Get a single backorder
+router.get('/:id', async (req, res) => {
+  try {
+    const backorder = await Backorder.findById(req.params.id);
+    if (!backorder) return res.status(404).json({ error: 'Backorder not found' });
+
+    res.json(backorder);
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch backorder');
+  }
+});
+
+/**
+ * POST /api/backorders/:id/fulfil
+ * Body: { quantity?, note? }
+ * Hands over up to `quantity` units (default all that is owed) from current stock.
+ */
+router.post('/:id/fulfil', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const { quantity, note = '' } = req.body || {};
+    if (quantity !== undefined && !(Number.isInteger(quantity) && quantity > 0)) {
+      return res.status(400).json({ error: 'quantity must be a positive whole number' });
+    }
+
+    const backorder = await Backorder.findById(req.params.id).lean();
+    if (!backorder) return res.status(404).json({ error: 'Backorder not found' });
+    if (backorder.status !== 'Pending') {
+      return res.status(400).json({ error: `Backorder is already ${backorder.status.toLowerCase()}` });
+    }
+
+    const [delivered] = await fulfilInTransaction({ backorderId: backorder._id, quantity, note, changedBy: changedByFrom(req) });
+    if (!delivered) {
+      return res.status(400).json({
+        error: `Not enough stock to fulfil '${backorder.productName}'`,
+        details: 'Add stock to the item first'
+      });
+    }
+
+    res.json({
+      message: `Handed over ${delivered.quantity} unit(s) of ${backorder.productName}`,
+      backorder: await Backorder.findById(backorder._id)
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to fulfil backorder');
+  }
+});
+
+module.exports = router;
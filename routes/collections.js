@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const UdharCollection = require('../models/udharCollections');
+const Customer = require('../models/customers');
+const { recordCollection } = require('../utils/collections');
+const { resolveCustomer, isWalkIn, toNameKey } = require('../utils/customers');
+const { PAGE_FORMATS, renderCollectionPdf } = require('../utils/pdf');
+const { changedByFrom } = require('../utils/slipVersions');
+const { getIdempotencyKey, findIdempotentRequest, claimIdempotencyKey, completeIdempotencyKey } = require('../utils/idempotency');
+const { runInTransaction } = require('../utils/transactions');
+const httpError = require('../utils/httpError');
+
+// Helper: ensure DB connection
+const ensureConnection = async () => {
+  if (mongoose.connection.readyState === 1) return true;
+  if (mongoose.connection.readyState === 2) {
+    const maxWait = 15000;
+    const start = Date.now();
+    while (mongoose.connection.readyState === 2 && Date.now() - start < maxWait) {
+      await new Promise(r => setTimeout(r, 200));
+      if (mongoose.connection.readyState === 1) return true;
+    }
+  }
+  if ((mongoose.connection.readyState === 0 || mongoose.connection.readyState === 3) && process.env.MONGO_URI) {
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        serverSelectionTimeoutMS: 10000,
+        socketTimeoutMS: 30000,
+        connectTimeoutMS: 10000,
+      });
+      await new Promise(r => setTimeout(r, 500));
+      return mongoose.connection.readyState === 1;
+    } catch (e) {
+      return false;
+    }
+  }
+  return false;
+}
+
+
+const sendError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Invalid collection', details: err.message });
+  }
+  if (err.name === 'CastError') {
+    return res.status(400).json({ error: 'Invalid ID format' });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ error: fallbackMessage, details: err.message });
+};
+
+// GET /api/collections - Payments received (?customerId, ?startDate, ?endDate)
+router.get('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const { customerId, startDate, endDate } = req.query;
+    const filter = {};
+    if (customerId) filter.customerId = customerId;
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    const collections = await UdharCollection.find(filter).sort({ date: -1 }).lean();
+
+    res.json({
+      collections,
+      totalCollections: collections.length,
+      totalAmount: Math.round(collections.reduce((sum, c) => sum + c.amount, 0) * 100) / 100
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch collections');
+  }
+});
+
+/**
+ * POST /api/collections
+ * Body: { customerId (or customerName), amount, method? (default Cash), reference?, date?, receivedBy?, notes? }
+ * Records a customer paying off Udhar. The amount settles their oldest open Udhar slips first;
+ * anything beyond what they owe stays on their ledger as credit. Send an Idempotency-Key header
+ * so a retried request does not take the payment twice.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const { customerId, customerName, amount, method = 'Cash', reference = '', date, receivedBy, notes = '' } = req.body || {};
+    if (!customerId && isWalkIn(customerName)) {
+      return res.status(400).json({ error: 'customerId or customerName is required' });
+    }
+    const paidOn = date ? new Date(date) : new Date();
+    if (isNaN(paidOn)) return res.status(400).json({ error: `Invalid date '${date}'` });
+    if (paidOn > new Date()) return res.status(400).json({ error: 'A payment cannot be dated in the future' });
+
+    const idempotencyKey = getIdempotencyKey(req);
+    if (idempotencyKey) {
+      const previous = await findIdempotentRequest('collections', idempotencyKey, req.body);
+      if (previous) {
+        const collection = await UdharCollection.findById(previous.documentId);
+        if (!collection) {
+          return res.status(410).json({
+            error: 'The payment recorded by this Idempotency-Key no longer exists',
+            details: `Collection ${previous.documentId} was deleted`
+          });
+        }
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(previous.statusCode || 201).json({ message: 'Payment recorded successfully', collection });
+      }
+    }
+
+    const collection = await runInTransaction(async (session) => {
+      const idempotencyRecord = idempotencyKey
+        ? await claimIdempotencyKey('collections', idempotencyKey, req.body, session)
+        : null;
+
+      // Only an existing customer can pay off Udhar; a name never seen before has nothing to pay
+      const customer = customerId
+        ? await resolveCustomer({ customerId }, session)
+        : await Customer.findOne({ $or: [{ nameKey: toNameKey(customerName) }, { 'aliases.nameKey': toNameKey(customerName) }], isActive: true })
+          .sort({ createdAt: 1 })
+          .session(session);
+      if (!customer) throw httpError(404, `Customer '${customerName}' not found`);
+
+      const recorded = await recordCollection(customer, {
+        amount,
+        method,
+        reference: String(reference || '').trim(),
+        date: paidOn,
+        receivedBy: receivedBy ? String(receivedBy).trim() : changedByFrom(req),
+        notes
+      }, session);
+
+      if (idempotencyRecord) {
+        await completeIdempotencyKey(idempotencyRecord, { statusCode: 201, documentId: recorded._id }, session);
+      }
+      return recorded;
+    });
+
+    console.log(`✅ Recorded receipt ${collection.receiptNumber}: ${collection.amount} from ${collection.customerName} over ${collection.allocations.length} slip(s)`);
+
+    res.status(201).json({ message: 'Payment recorded successfully', collection });
+  } catch (err) {
+    sendError(res, err, 'Failed to record payment');
+  }
+});
+
+// GET /api/collections/:id - Get a single collection
+router.get('/:id', async (req, res) => {
+  try {
+    const collection = await UdharCollection.findById(req.params.id);
+    if (!collection) return res.status(404).json({ error: 'Collection not found' });
+
+    res.json(collection);
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch collection');
+  }
+});
+
+// GET /api/collections/:id/pdf - Printable payment receipt (?size=a4|a5, default a5)
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const size = String(req.query.size || 'a5').toLowerCase();
+    if (!PAGE_FORMATS.includes(size)) {
+      return res.status(400).json({ error: `Invalid size '${req.query.size}'. Use one of: ${PAGE_FORMATS.join(', ')}` });
+    }
+
+    const collection = await UdharCollection.findById(req.params.id).lean();
+    if (!collection) return res.status(404).json({ error: 'Collection not found' });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${collection.receiptNumber || collection._id}.pdf"`);
+    res.send(renderCollectionPdf(collection, { format: size }));
+  } catch (err) {
+    sendError(res, err, 'Failed to render receipt PDF');
+  }
+});
+
+module.exports = router;
@@ -96,7 +96,7 @@ router.get('/search/suggestions', async (req, res) => {
     if (type === 'name' || type === 'all') {
       const names = await Slip.distinct('customerName', {
         customerName: { $regex: query, $options: 'i' },
-        status: { $ne: 'Cancelled' }
+        status: { $nin: ['Cancelled', 'Pending'] }
       }).limit(10);
       suggestions.push(...names.map(name => ({ type: 'name', value: name, label: name })));
     }
@@ -105,7 +105,7 @@ router.get('/search/suggestions', async (req, res) => {
       const phones = await Slip.distinct('customerPhone', {
         customerPhone: { $regex: query, $options: 'i' },
         customerPhone: { $ne: '', $exists: true },
-        status: { $ne: 'Cancelled' }
+        status: { $nin: ['Cancelled', 'Pending'] }
       }).limit(10);
       suggestions.push(...phones.map(phone => ({ type: 'phone', value: phone, label: `📞 ${phone}` })));
     }
@@ -116,7 +116,7 @@ router.get('/search/suggestions', async (req, res) => {
           { slipNumber: { $regex: query, $options: 'i' } },
           { _id: { $regex: query, $options: 'i' } }
         ],
-        status: { $ne: 'Cancelled' }
+        status: { $nin: ['Cancelled', 'Pending'] }
       })
       .select('slipNumber customerName _id')
       .limit(10)
@@ -174,7 +174,7 @@ router.get('/:customerName', async (req, res) => {
 
     // Build filter based on search type
     const filter = {
-      status: { $ne: 'Cancelled' } // Exclude cancelled slips
+      status: { $nin: ['Cancelled', 'Pending'] } // Exclude cancelled and parked slips
     };
 
     // Determine search type and build filter accordingly
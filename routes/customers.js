@@ -0,0 +1,567 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Customer = require('../models/customers');
+const CustomerLedgerEntry = require('../models/customerLedger');
+const Slip = require('../models/slips');
+const { slipOutstanding } = require('../utils/udhar');
+const { toNameKey, isWalkIn, normalizePhone, resolveCustomer, postLedgerEntry, creditLimitFor } = require('../utils/customers');
+const { escapeRegex } = require('../utils/inventory');
+const { buildStatement } = require('../utils/statements');
+const { recomputeCustomerBalances } = require('../utils/balanceChain');
+const { mergeCustomers, undoCustomerMerge } = require('../utils/customerMerge');
+const { changedByFrom, updateSlipWithVersion } = require('../utils/slipVersions');
+const CustomerMerge = require('../models/customerMerges');
+const { PAGE_FORMATS, renderStatementPdf } = require('../utils/pdf');
+const { runInTransaction } = require('../utils/transactions');
+const httpError = require('../utils/httpError');
+
+// Helper: ensure DB connection
+const ensureConnection = async () => {
+  if (mongoose.connection.readyState === 1) return true;
+  if (mongoose.connection.readyState === 2) {
+    const maxWait = 15000;
+    const start = Date.now();
+    while (mongoose.connection.readyState === 2 && Date.now() - start < maxWait) {
+      await new Promise(r => setTimeout(r, 200));
+      if (mongoose.connection.readyState === 1) return true;
+    }
+  }
+  if ((mongoose.connection.readyState === 0 || mongoose.connection.readyState === 3) && process.env.MONGO_URI) {
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        serverSelectionTimeoutMS: 10000,
+        socketTimeoutMS: 30000,
+        connectTimeoutMS: 10000,
+      });
+      await new Promise(r => setTimeout(r, 500));
+      return mongoose.connection.readyState === 1;
+    } catch (e) {
+      return false;
+    }
+  }
+  return false;
+}
+
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// balance only moves through ledger entries (sales, returns, cancellations, adjustments)
+const CUSTOMER_FIELDS = ['name', 'phone', 'address', 'type', 'creditLimit', 'notes'];
+
+// Only the editable customer fields from the request body, with the phone normalized
+const pickCustomerFields = (body = {}) => CUSTOMER_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = key === 'phone' ? normalizePhone(body[key]) : body[key];
+  return fields;
+}, {});
+
+const sendError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Invalid customer', details: err.message });
+  }
+  if (err.name === 'CastError') {
+    return res.status(400).json({ error: 'Invalid customer ID format' });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ error: 'An active customer with this name and phone already exists' });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ error: fallbackMessage, details: err.message });
+};
+
+// Recompute one customer's balance chain; the writes for a customer commit together or not at all
+const recomputeInTransaction = async (customer, dryRun, changedBy) => {
+  if (dryRun) return recomputeCustomerBalances(customer, { dryRun });
+
+  const session = await Slip.startSession();
+  session.startTransaction();
+  try {
+    const summary = await recomputeCustomerBalances(customer, { dryRun, changedBy }, session);
+    await session.commitTransaction();
+    return summary;
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+// GET /api/customers - List customers (?search by name or phone, merged-in ones included, ?type, ?owing=true, ?includeInactive=true)
+router.get('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const { search, type, owing, includeInactive } = req.query;
+    const filter = {};
+    if (includeInactive !== 'true') filter.isActive = true;
+    if (type) filter.type = type;
+    if (owing === 'true') filter.balance = { $gt: 0 };
+    if (search) {
+      const nameMatch = { $regex: escapeRegex(toNameKey(search)) };
+      const or = [{ nameKey: nameMatch }, { 'aliases.nameKey': nameMatch }];
+      const phone = normalizePhone(search);
+      if (phone) or.push({ phone: { $regex: escapeRegex(phone) } }, { 'aliases.phone': { $regex: escapeRegex(phone) } });
+      filter.$or = or;
+    }
+
+    const customers = await Customer.find(filter).sort({ name: 1 }).lean();
+
+    res.json({
+      customers,
+      totalCustomers: customers.length,
+      totalBalance: roundAmount(customers.reduce((sum, c) => sum + (c.balance || 0), 0))
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch customers');
+  }
+});
+
+/**
+ * POST /api/customers/backfill
+ * Creates customers for slips saved before customer records existed (?dryRun=true to preview).
+ * Slips are grouped by name ignoring case and spacing, linked to the customer, and what is still
+ * owed on their Udhar slips is posted as the customer's opening balance.
+ */
+router.post('/backfill', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+    const groups = new Map();
+
+    const cursor = Slip.find({ customerId: null, status: { $ne: 'Pending' } })
+      .select('customerName customerPhone paymentMethod status totalAmount partialPayment returnedAmount')
+      .sort({ date: 1 })
+      .lean()
+      .cursor();
+
+    for await (const slip of cursor) {
+      if (isWalkIn(slip.customerName)) continue;
+
+      const nameKey = toNameKey(slip.customerName);
+      const group = groups.get(nameKey) || { name: '', phone: '', slipIds: [], openingBalance: 0 };
+      // The latest spelling and phone win
+      group.name = slip.customerName.trim();
+      group.phone = normalizePhone(slip.customerPhone) || group.phone;
+      group.slipIds.push(slip._id);
+      if (slip.paymentMethod === 'Udhar' && slip.status !== 'Cancelled') {
+        group.openingBalance += slipOutstanding(slip);
+      }
+      groups.set(nameKey, group);
+    }
+
+    const customers = [];
+    for (const group of groups.values()) {
+      const summary = {
+        name: group.name,
+        phone: group.phone,
+        slips: group.slipIds.length,
+        openingBalance: roundAmount(group.openingBalance)
+      };
+
+      if (!dryRun) {
+        // Links and opening balance go together, so a re-run never counts a slip twice
+        const session = await Slip.startSession();
+        session.startTransaction();
+        try {
+          const customer = await resolveCustomer({ customerName: group.name, customerPhone: group.phone }, session);
+          const unlinked = await Slip.find({ _id: { $in: group.slipIds }, customerId: null }).select('_id').session(session).lean();
+          for (const slip of unlinked) {
+            await updateSlipWithVersion(slip._id, { $set: { customerId: customer._id } }, {
+              action: 'backfill',
+              changedBy: changedByFrom(req),
+              reason: `Linked to customer ${customer.name}`
+            }, session);
+          }
+          if (summary.openingBalance > 0) {
+            await postLedgerEntry(customer._id, {
+              type: 'Opening',
+              amount: summary.openingBalance,
+              note: `Udhar owed on ${group.slipIds.length} slip(s) from before customer records`
+            }, session);
+          }
+          await session.commitTransaction();
+          summary.customerId = customer._id;
+        } catch (err) {
+          await session.abortTransaction();
+          throw err;
+        } finally {
+          session.endSession();
+        }
+      }
+
+      customers.push(summary);
+    }
+
+    const totals = {
+      customers: customers.length,
+      slips: customers.reduce((sum, c) => sum + c.slips, 0),
+      openingBalance: roundAmount(customers.reduce((sum, c) => sum + c.openingBalance, 0))
+    };
+
+    console.log(`✅ Customer backfill${dryRun ? ' (dry run)' : ''}: ${totals.customers} customer(s), ${totals.slips} slip(s), opening balances ${totals.openingBalance}`);
+
+    res.json({
+      message: dryRun ? 'Dry run complete, nothing was changed' : 'Slips linked to customer records',
+      dryRun,
+      totals,
+      customers
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to backfill customers');
+  }
+});
+
+/**
+ * POST /api/customers/recompute-balances
+ * Replays every customer's Udhar slips, returns, collections and adjustments in date order and
+ * rewrites the previous/current/remaining balances stored on slips and receipts (?dryRun=true to
+ * only report the differences). Customers whose replayed balance disagrees with the ledger are listed.
+ */
+router.post('/recompute-balances', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+    const customers = [];
+    const totals = { customers: 0, slipsChanged: 0, collectionsChanged: 0, unreconciled: 0 };
+
+    const cursor = Customer.find().select('name balance').sort({ nameKey: 1 }).lean().cursor();
+    for await (const customer of cursor) {
+      const summary = await recomputeInTransaction(customer, dryRun, changedByFrom(req));
+      totals.customers += 1;
+      totals.slipsChanged += summary.slipsChanged;
+      totals.collectionsChanged += summary.collectionsChanged;
+      if (summary.balance.difference !== 0) totals.unreconciled += 1;
+      // Customers already in order are counted, not listed
+      if (summary.differences.length > 0 || summary.balance.difference !== 0) customers.push(summary);
+    }
+
+    console.log(`✅ Balance recompute${dryRun ? ' (dry run)' : ''}: ${totals.slipsChanged} slip(s) and ${totals.collectionsChanged} receipt(s) ${dryRun ? 'to fix' : 'fixed'} over ${totals.customers} customer(s), ${totals.unreconciled} unreconciled`);
+
+    res.json({
+      message: dryRun ? 'Dry run complete, nothing was changed' : 'Stored balances recomputed',
+      dryRun,
+      totals,
+      customers
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to recompute balances');
+  }
+});
+
+/**
+ * POST /api/customers/merge
+ * Body: { targetId, sourceIds: [customerId, ...], mergedBy? }
+ * Folds duplicate customers into the target: their slips, ledger, collections and reminder logs move
+ * over, slips and Income are renamed to the target's name and phone, and the balances are added up.
+ * ?dryRun=true shows what would change without writing. Undo with POST /api/customers/merges/:id/undo.
+ */
+router.post('/merge', async (req, res) => {
+  let session;
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+    const { targetId, sourceIds } = req.body || {};
+    if (!targetId) return res.status(400).json({ error: 'targetId is required' });
+
+    if (dryRun) {
+      const { summary } = await mergeCustomers({ targetId, sourceIds }, { dryRun });
+      return res.json({ message: 'Dry run complete, nothing was changed', dryRun, ...summary });
+    }
+
+    session = await Customer.startSession();
+    session.startTransaction();
+    const { merge, summary } = await mergeCustomers({ targetId, sourceIds, mergedBy: changedByFrom(req) }, {}, session);
+    await session.commitTransaction();
+    session.endSession();
+
+    console.log(`✅ Merged ${summary.sources.map(s => s.name).join(', ')} into ${summary.target.name}: ${summary.counts.slips} slip(s), balance ${summary.balanceMoved} moved`);
+
+    res.status(201).json({ message: 'Customers merged successfully', dryRun, mergeId: merge._id, ...summary });
+  } catch (err) {
+    if (session) {
+      if (session.inTransaction()) await session.abortTransaction();
+      session.endSession();
+    }
+    sendError(res, err, 'Failed to merge customers');
+  }
+});
+
+// GET /api/customers/merges - Past merges, newest first (?customerId for merges into or out of one customer)
+router.get('/merges', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const filter = {};
+    if (req.query.customerId) {
+      filter.$or = [{ targetId: req.query.customerId }, { 'sources.customerId': req.query.customerId }];
+    }
+
+    const merges = await CustomerMerge.find(filter).sort({ createdAt: -1 }).lean();
+
+    res.json({ merges, totalMerges: merges.length });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch customer merges');
+  }
+});
+
+// POST /api/customers/merges/:id/undo - Split a merge back into the customers it joined
+router.post('/merges/:id/undo', async (req, res) => {
+  const session = await Customer.startSession();
+  session.startTransaction();
+  try {
+    const merge = await undoCustomerMerge(req.params.id, { undoneBy: changedByFrom(req) }, session);
+    await session.commitTransaction();
+    session.endSession();
+
+    console.log(`✅ Undid merge into ${merge.targetName}: ${merge.sources.map(s => s.name).join(', ')} restored`);
+
+    res.json({
+      message: 'Merge undone successfully',
+      mergeId: merge._id,
+      target: { customerId: merge.targetId, name: merge.targetName },
+      restored: merge.sources,
+      counts: merge.counts
+    });
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    session.endSession();
+    sendError(res, err, 'Failed to undo customer merge');
+  }
+});
+
+// GET /api/customers/:id - Get a single customer, with the credit limit in force and the headroom left under it
+router.get('/:id', async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id).lean();
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const creditLimit = creditLimitFor(customer);
+    res.json({
+      ...customer,
+      credit: {
+        limit: creditLimit,
+        fromDefault: customer.creditLimit === null || customer.creditLimit === undefined,
+        headroom: creditLimit === null ? null : roundAmount(Math.max(0, creditLimit - customer.balance))
+      }
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch customer');
+  }
+});
+
+// GET /api/customers/:id/ledger - Balance changes, oldest first (?startDate, ?endDate)
+router.get('/:id/ledger', async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id).lean();
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const filter = { customerId: customer._id };
+    if (req.query.startDate || req.query.endDate) {
+      filter.date = {};
+      if (req.query.startDate) filter.date.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) filter.date.$lte = new Date(req.query.endDate);
+    }
+
+    const entries = await CustomerLedgerEntry.find(filter).sort({ createdAt: 1 }).lean();
+
+    res.json({ customer, entries, balance: customer.balance });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch customer ledger');
+  }
+});
+
+// GET /api/customers/:id/statement - Account statement (?startDate, ?endDate as YYYY-MM-DD; default this month)
+router.get('/:id/statement', async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id).lean();
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    res.json(await buildStatement(customer, req.query));
+  } catch (err) {
+    sendError(res, err, 'Failed to build customer statement');
+  }
+});
+
+// GET /api/customers/:id/statement/pdf - Printable statement (same query as the JSON, plus ?size=a4|a5)
+router.get('/:id/statement/pdf', async (req, res) => {
+  try {
+    const size = String(req.query.size || 'a4').toLowerCase();
+    if (!PAGE_FORMATS.includes(size)) {
+      return res.status(400).json({ error: `Invalid size '${req.query.size}'. Use one of: ${PAGE_FORMATS.join(', ')}` });
+    }
+
+    const customer = await Customer.findById(req.params.id).lean();
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const statement = await buildStatement(customer, req.query);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="statement-${customer.nameKey.replace(/[^a-z0-9]+/g, '-')}-${statement.endDate}.pdf"`);
+    res.send(renderStatementPdf(statement, { format: size }));
+  } catch (err) {
+    sendError(res, err, 'Failed to render customer statement PDF');
+  }
+});
+
+/**
+ * POST /api/customers
+ * Body: { name, phone?, address?, type?: 'Retail'|'Wholesale'|'Mechanic', creditLimit? (null for the default), notes? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const fields = pickCustomerFields(req.body);
+    if (isWalkIn(fields.name)) {
+      return res.status(400).json({ error: 'A customer name is required' });
+    }
+
+    const existing = await Customer.findOne({ nameKey: toNameKey(fields.name), phone: fields.phone || '', isActive: true }).lean();
+    if (existing) {
+      return res.status(409).json({ error: `Customer '${existing.name}' already exists`, customer: existing });
+    }
+
+    const customer = new Customer(fields);
+    await customer.save();
+
+    res.status(201).json({ message: 'Customer created successfully', customer });
+  } catch (err) {
+    sendError(res, err, 'Failed to create customer');
+  }
+});
+
+/**
+ * POST /api/customers/:id/adjustments
+ * Body: { amount, note } - positive when the customer owes more, negative to reduce what they owe.
+ * For opening balances and corrections; sales, returns and cancellations post their own entries.
+ */
+router.post('/:id/adjustments', async (req, res) => {
+  try {
+    const { amount, note } = req.body || {};
+    const change = roundAmount(amount);
+    if (!isFinite(Number(amount)) || change === 0) {
+      return res.status(400).json({ error: 'amount must be a non-zero number' });
+    }
+    if (!note || !String(note).trim()) {
+      return res.status(400).json({ error: 'A note explaining the adjustment is required' });
+    }
+
+    // Balance and ledger row commit together
+    const entry = await runInTransaction(async (session) => {
+      const customer = await Customer.findById(req.params.id).session(session).lean();
+      if (!customer) throw httpError(404, 'Customer not found');
+
+      return postLedgerEntry(customer._id, { type: 'Adjustment', amount: change, note: String(note).trim() }, session);
+    });
+
+    res.status(201).json({ message: 'Balance adjusted successfully', entry, balance: entry.balanceAfter });
+  } catch (err) {
+    sendError(res, err, 'Failed to adjust customer balance');
+  }
+});
+
+// POST /api/customers/:id/recompute-balances - The same replay for one customer, listing every difference (?dryRun=true)
+router.post('/:id/recompute-balances', async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id).select('name balance').lean();
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+    const summary = await recomputeInTransaction(customer, dryRun, changedByFrom(req));
+
+    res.json({
+      message: dryRun ? 'Dry run complete, nothing was changed' : 'Stored balances recomputed',
+      dryRun,
+      ...summary
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to recompute customer balances');
+  }
+});
+
+// PUT /api/customers/:id - Update a customer (fields not sent are kept). Past slips keep the name they were billed to.
+router.put('/:id', async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const fields = pickCustomerFields(req.body);
+    if (fields.name !== undefined && isWalkIn(fields.name)) {
+      return res.status(400).json({ error: 'A customer name is required' });
+    }
+
+    customer.set(fields);
+    await customer.save();
+
+    res.json({ message: 'Customer updated successfully', customer });
+  } catch (err) {
+    sendError(res, err, 'Failed to update customer');
+  }
+});
+
+// DELETE /api/customers/:id - Deactivate a customer (slips and ledger stay). Refused while they owe money.
+router.delete('/:id', async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    if (roundAmount(customer.balance) !== 0) {
+      return res.status(400).json({
+        error: `${customer.name} still has a balance of ${roundAmount(customer.balance)}`,
+        details: 'Settle or adjust the balance before deactivating'
+      });
+    }
+
+    customer.isActive = false;
+    await customer.save();
+
+    res.json({ message: 'Customer deactivated successfully', customer });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete customer');
+  }
+});
+
+module.exports = router;
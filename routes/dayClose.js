@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const DayClose = require('../models/dayCloses');
+const { PAGE_FORMATS, renderDayClosePdf } = require('../utils/pdf');
+const { roundAmount, toBusinessDate, buildDayReport } = require('../utils/dayClose');
+const { changedByFrom } = require('../utils/slipVersions');
+const httpError = require('../utils/httpError');
+
+// Helper: ensure DB connection
+const ensureConnection = async () => {
+  if (mongoose.connection.readyState === 1) return true;
+  if (mongoose.connection.readyState === 2) {
+    const maxWait = 15000;
+    const start = Date.now();
+    while (mongoose.connection.readyState === 2 && Date.now() - start < maxWait) {
+      await new Promise(r => setTimeout(r, 200));
+      if (mongoose.connection.readyState === 1) return true;
+    }
+  }
+  if ((mongoose.connection.readyState === 0 || mongoose.connection.readyState === 3) && process.env.MONGO_URI) {
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        serverSelectionTimeoutMS: 10000,
+        socketTimeoutMS: 30000,
+        connectTimeoutMS: 10000,
+      });
+      await new Promise(r => setTimeout(r, 500));
+      return mongoose.connection.readyState === 1;
+    } catch (e) {
+      return false;
+    }
+  }
+  return false;
+}
+
+const parseAmount = (value, field, { required = false } = {}) => {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw httpError(400, `${field} is required`);
+    return 0;
+  }
+  const amount = Number(value);
+  if (!isFinite(amount) || amount < 0) throw httpError(400, `${field} must be a non-negative number`);
+  return roundAmount(amount);
+};
+
+const sendError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ error: fallbackMessage, details: err.message });
+};
+
+// GET /api/day-close - Closed days of a month (?month=YYYY-MM, default this month)
+router.get('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const month = req.query.month || toBusinessDate().slice(0, 7);
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      return res.status(400).json({ error: `Invalid month '${month}'. Use YYYY-MM` });
+    }
+
+    const days = await DayClose.find({ businessDate: { $regex: `^${month}-` } })
+      .sort({ businessDate: 1 })
+      .lean();
+
+    res.json({
+      month,
+      days,
+      totals: {
+        incomeTotal: roundAmount(days.reduce((sum, d) => sum + (d.incomeTotal || 0), 0)),
+        difference: roundAmount(days.reduce((sum, d) => sum + (d.difference || 0), 0))
+      }
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch closed days');
+  }
+});
+
+// GET /api/day-close/preview - Live figures for a day before closing (?date=YYYY-MM-DD, ?openingCash)
+router.get('/preview', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const businessDate = req.query.date || toBusinessDate();
+    const openingCash = parseAmount(req.query.openingCash, 'openingCash');
+    const { cashFromIncome, ...report } = await buildDayReport(businessDate);
+    const closed = await DayClose.exists({ businessDate });
+
+    res.json({
+      ...report,
+      openingCash,
+      expectedCash: roundAmount(openingCash + cashFromIncome),
+      closed: !!closed
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to build day report');
+  }
+});
+
+/**
+ * POST /api/day-close
+ * Body: { date? (YYYY-MM-DD, default today), countedCash, openingCash?, closedBy?, notes? }
+ * Snapshots the day's figures with the counted cash and its difference from the expected cash.
+ * A day can be closed once; the saved report cannot be changed afterwards.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const { date, countedCash, openingCash, closedBy, notes } = req.body || {};
+    const businessDate = date || toBusinessDate();
+    const counted = parseAmount(countedCash, 'countedCash', { required: true });
+    const opening = parseAmount(openingCash, 'openingCash');
+
+    if (businessDate > toBusinessDate()) {
+      return res.status(400).json({ error: 'A day cannot be closed before it starts' });
+    }
+    const existing = await DayClose.findOne({ businessDate }).select('closedAt closedBy').lean();
+    if (existing) {
+      return res.status(409).json({
+        error: `${businessDate} is already closed`,
+        details: `Closed on ${existing.closedAt.toLocaleString()} by ${existing.closedBy}`
+      });
+    }
+
+    const { cashFromIncome, ...report } = await buildDayReport(businessDate);
+    const expectedCash = roundAmount(opening + cashFromIncome);
+
+    const dayClose = new DayClose({
+      ...report,
+      closedBy: closedBy ? String(closedBy).trim() : changedByFrom(req),
+      openingCash: opening,
+      expectedCash,
+      countedCash: counted,
+      difference: roundAmount(counted - expectedCash),
+      notes: notes || ''
+    });
+    await dayClose.save();
+
+    console.log(`✅ Closed ${businessDate}: expected ${expectedCash}, counted ${counted}, difference ${dayClose.difference}`);
+
+    res.status(201).json({ message: 'Day closed successfully', dayClose });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'This day was closed by another request' });
+    }
+    sendError(res, err, 'Failed to close day');
+  }
+});
+
+// GET /api/day-close/:date - A closed day's report
+router.get('/:date', async (req, res) => {
+  try {
+    const dayClose = await DayClose.findOne({ businessDate: req.params.date }).lean();
+    if (!dayClose) return res.status(404).json({ error: `${req.params.date} has not been closed` });
+
+    res.json(dayClose);
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch day close');
+  }
+});
+
+// GET /api/day-close/:date/pdf - Printable Z-report (?size=a4|a5, default a4)
+router.get('/:date/pdf', async (req, res) => {
+  try {
+    const size = String(req.query.size || 'a4').toLowerCase();
+    if (!PAGE_FORMATS.includes(size)) {
+      return res.status(400).json({ error: `Invalid size '${req.query.size}'. Use one of: ${PAGE_FORMATS.join(', ')}` });
+    }
+
+    const dayClose = await DayClose.findOne({ businessDate: req.params.date }).lean();
+    if (!dayClose) return res.status(404).json({ error: `${req.params.date} has not been closed` });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="z-report-${dayClose.businessDate}.pdf"`);
+    res.send(renderDayClosePdf(dayClose, { format: size }));
+  } catch (err) {
+    sendError(res, err, 'Failed to render day close PDF');
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const Income = require('../models/income');
+const { resolvePayments, unwindPayments } = require('../utils/payments');
+const { getIdempotencyKey, findIdempotentRequest, claimIdempotencyKey, completeIdempotencyKey } = require('../utils/idempotency');
 
 // POST /api/income - Create income record
 router.post('/', async (req, res) => {
@@ -12,7 +14,7 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const { totalIncome, productsSold, date, notes, customerName, paymentMethod, slipNumber } = req.body;
+    const { totalIncome, productsSold, date, notes, customerName, customerPhone, paymentMethod, payments, slipNumber } = req.body;
 
     if (!totalIncome || !productsSold || !Array.isArray(productsSold)) {
       return res.status(400).json({ error: 'Total income and products sold are required' });
@@ -27,23 +29,66 @@ router.post('/', async (req, res) => {
       }
     }
 
+    // payments: [{ method, amount, reference }] splits the income across methods
+    const payment = resolvePayments({ payments, paymentMethod }, parseFloat(totalIncome));
+
     const newEntry = new Income({
       totalIncome,
       productsSold,
       date: date || new Date(),
       notes: notes || '',
       customerName: customerName || 'Walk-in Customer',
-      paymentMethod: paymentMethod || 'Cash',
+      customerPhone: customerPhone || '',
+      paymentMethod: payment.paymentMethod,
+      payments: payment.payments,
       slipNumber: slipNumber || ''
     });
 
-    await newEntry.save();
+    const idempotencyKey = getIdempotencyKey(req);
+    if (!idempotencyKey) {
+      await newEntry.save();
+    } else {
+      // A retried request with the same Idempotency-Key gets the record it created the first time
+      const previous = await findIdempotentRequest('income', idempotencyKey, req.body);
+      if (previous) {
+        const income = await Income.findById(previous.documentId);
+        if (!income) {
+          return res.status(410).json({
+            error: 'The income record created by this Idempotency-Key no longer exists',
+            details: `Income record ${previous.documentId} was deleted`
+          });
+        }
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(previous.statusCode || 201).json({
+          message: 'Income record created successfully',
+          income
+        });
+      }
+
+      // The key is claimed and the record saved together, so a failed save frees the key again
+      const session = await Income.startSession();
+      session.startTransaction();
+      try {
+        const idempotencyRecord = await claimIdempotencyKey('income', idempotencyKey, req.body, session);
+        await newEntry.save({ session });
+        await completeIdempotencyKey(idempotencyRecord, { statusCode: 201, documentId: newEntry._id }, session);
+        await session.commitTransaction();
+      } catch (err) {
+        await session.abortTransaction();
+        throw err;
+      } finally {
+        session.endSession();
+      }
+    }
     
     res.status(201).json({
       message: 'Income record created successfully',
       income: newEntry
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
     console.error('❌ Error creating income:', err);
     res.status(500).json({ 
       error: 'Failed to create income record', 
@@ -167,10 +212,11 @@ router.get('/summary/overview', async (req, res) => {
     // Payment method breakdown
     const paymentBreakdown = await Income.aggregate([
       { $match: { isActive: true } },
+      ...unwindPayments('totalIncome'),
       {
         $group: {
-          _id: '$paymentMethod',
-          total: { $sum: '$totalIncome' },
+          _id: '$payment.method',
+          total: { $sum: '$payment.amount' },
           count: { $sum: 1 }
         }
       }
@@ -408,31 +454,50 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    const { totalIncome, productsSold, date, notes, customerName, paymentMethod } = req.body;
-
-    const updatedRecord = await Income.findByIdAndUpdate(
-      req.params.id,
-      { 
-        totalIncome, 
-        productsSold, 
-        date, 
-        notes, 
-        customerName, 
-        paymentMethod,
-        lastUpdated: new Date()
-      },
-      { new: true, runValidators: true }
-    );
+    const { totalIncome, productsSold, date, notes, customerName, customerPhone, paymentMethod, payments } = req.body;
 
-    if (!updatedRecord) {
+    const record = await Income.findById(req.params.id);
+    if (!record) {
       return res.status(404).json({ error: 'Income record not found' });
     }
 
+    // A collection's amounts mirror its receipt; changing them here would break the Udhar/method pair
+    const changesAmounts = [totalIncome, productsSold, paymentMethod, payments].some(value => value !== undefined);
+    if (record.entryType === 'Collection' && changesAmounts) {
+      return res.status(400).json({
+        error: 'The amounts of a Collection entry cannot be edited',
+        details: 'Only date, notes and customer details can change; the amounts follow the collection receipt'
+      });
+    }
+
+    // Only the fields sent are changed; save() runs the same checks as a new entry
+    const fields = { totalIncome, productsSold, date, notes, customerName, customerPhone, paymentMethod };
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined) record.set(key, value);
+    });
+
+    if (payments !== undefined) {
+      const payment = resolvePayments({ payments, paymentMethod }, parseFloat(record.totalIncome));
+      record.paymentMethod = payment.paymentMethod;
+      record.payments = payment.payments;
+    } else if (paymentMethod !== undefined || totalIncome !== undefined) {
+      // The old split no longer applies; reports fall back to paymentMethod and totalIncome
+      record.payments = [];
+    }
+
+    const updatedRecord = await record.save();
+
     res.json({
       message: 'Income record updated successfully',
       record: updatedRecord
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid income record', details: err.message });
+    }
     console.error('❌ Error updating income:', err);
     res.status(500).json({ 
       error: 'Failed to update income record', 
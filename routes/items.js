@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const Item = require('../models/items');
+const { resolveBundleComponents, withBundleAvailability } = require('../utils/inventory');
+const { fulfilBackorders } = require('../utils/backorders');
+const { changedByFrom } = require('../utils/slipVersions');
 
 // Helper function to ensure MongoDB connection
 // This function actively tries to reconnect if disconnected
@@ -103,9 +106,10 @@ router.get('/', async (req, res) => {
       filter.category = category;
     }
 
-    // Low stock filter
+    // Low stock filter (bundles have no stock of their own)
     if (lowStock === 'true') {
       filter.quantity = { $lte: 10 };
+      filter.productType = { $ne: 'Bundle' };
     }
 
     const items = await Item.find(filter)
@@ -121,7 +125,7 @@ router.get('/', async (req, res) => {
     const categories = await Item.distinct('category', { $or: [{ isActive: true }, { isActive: { $exists: false } }] }).maxTimeMS(10000);
 
     res.json({
-      items,
+      items: await withBundleAvailability(items),
       totalPages: Math.ceil(total / limit),
       currentPage: parseInt(page),
       totalItems: total,
@@ -176,6 +180,7 @@ router.get('/low-stock', async (req, res) => {
 
     const lowStockItems = await Item.find({
       quantity: { $lte: 10 },
+      productType: { $ne: 'Bundle' },
       isActive: true
     }).sort({ quantity: 1 });
 
@@ -207,6 +212,7 @@ router.get('/out-of-stock', async (req, res) => {
 
     const outOfStockItems = await Item.find({
       quantity: 0,
+      productType: { $ne: 'Bundle' },
       isActive: true
     }).sort({ name: 1 });
 
@@ -244,7 +250,8 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Item has been deleted' });
     }
 
-    res.json(item);
+    const [withAvailability] = await withBundleAvailability([item.toObject()]);
+    res.json(withAvailability);
   } catch (error) {
     console.error('❌ Error fetching item:', error);
     
@@ -296,11 +303,18 @@ router.post('/', async (req, res) => {
       maxStockLevel,
       supplier,
       costPrice,
-      isActive
+      isActive,
+      components // For Bundle products: [{ itemId, quantity }]
     } = req.body;
 
+    const isBundle = productType === 'Bundle';
+    if (isBundle && !(name && typeof name === 'string' && name.trim())) {
+      return res.status(400).json({ error: 'Name is required for Bundle products' });
+    }
+    const bundleComponents = isBundle ? await resolveBundleComponents(components) : [];
+
     // Simple/custom product: when name is provided, skip productType-specific validations
-    const isSimpleProduct = !!(name && typeof name === 'string' && name.trim());
+    const isSimpleProduct = !isBundle && !!(name && typeof name === 'string' && name.trim());
 
     // Validation
     // Name and SKU are OPTIONAL - auto-generate if not provided (unless simple product)
@@ -432,7 +446,12 @@ router.post('/', async (req, res) => {
       itemData.company = (company && typeof company === 'string') ? company.trim() : '';
       itemData.bikeName = (bikeName && typeof bikeName === 'string') ? bikeName.trim() : '';
     }
-    if (!isSimpleProduct) {
+    if (isBundle) {
+      // Stock lives on the components
+      itemData.quantity = 0;
+      itemData.components = bundleComponents;
+      itemData.bikeName = bikeName || '';
+    } else if (!isSimpleProduct) {
     if (productType === 'Cover') {
       itemData.coverType = coverType || '';
     } else if (productType === 'Plate') {
@@ -473,6 +492,11 @@ router.post('/', async (req, res) => {
     if (error.code === 11000) {
       return res.status(400).json({ error: 'SKU already exists' });
     }
+
+    // Invalid bundle components
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
     
     // Handle validation errors from Mongoose
     if (error.name === 'ValidationError') {
@@ -524,7 +548,8 @@ router.put('/:id', async (req, res) => {
       minStockLevel,
       maxStockLevel,
       supplier,
-      costPrice
+      costPrice,
+      components
     } = req.body;
 
     // Get existing item to preserve values if not provided
@@ -604,6 +629,33 @@ router.put('/:id', async (req, res) => {
       updateData.plateCompany = '';
       updateData.bikeName = '';
       updateData.plateType = '';
+    } else if (finalProductType === 'Bundle') {
+      // Bundles keep only a bikeName; their stock is their components' stock
+      updateData.bikeName = finalBikeName || '';
+      updateData.coverType = '';
+      updateData.plateCompany = '';
+      updateData.plateType = '';
+      updateData.formCompany = '';
+      updateData.formType = '';
+      updateData.formVariant = '';
+      if (existingItem.productType !== 'Bundle') {
+        // A component turned bundle would nest bundles, which checkout and restocking do not follow
+        const parent = await Item.findOne({ productType: 'Bundle', 'components.itemId': existingItem._id }).select('name').lean();
+        if (parent) {
+          return res.status(409).json({
+            error: `'${existingItem.name}' is a component of bundle '${parent.name}' and cannot become a bundle`,
+            details: 'Remove it from that bundle first'
+          });
+        }
+      }
+      // Nothing reads a bundle's own quantity, so it is kept at 0 rather than left with the old stock
+      updateData.quantity = 0;
+      if (components !== undefined || existingItem.productType !== 'Bundle') {
+        updateData.components = await resolveBundleComponents(components, existingItem._id);
+      }
+    }
+    if (finalProductType !== 'Bundle' && existingItem.productType === 'Bundle') {
+      updateData.components = [];
     }
 
     const updatedItem = await Item.findByIdAndUpdate(
@@ -621,6 +673,9 @@ router.put('/:id', async (req, res) => {
       item: updatedItem 
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
     console.error('❌ Error updating item:', error);
     res.status(500).json({ 
       error: 'Failed to update item', 
@@ -630,9 +685,11 @@ router.put('/:id', async (req, res) => {
 });
 
 // PATCH /api/items/:id/stock - Update stock quantity only
+// With fulfilBackorders: true the new stock is handed over to pending backorders for this item, oldest first.
 router.patch('/:id/stock', async (req, res) => {
+  let session = null;
   try {
-    const { quantity, operation = 'set' } = req.body; // operation: 'set', 'add', 'subtract'
+    const { quantity, operation = 'set', fulfilBackorders: fulfil = false } = req.body; // operation: 'set', 'add', 'subtract'
 
     if (quantity === undefined || quantity < 0) {
       return res.status(400).json({ error: 'Valid quantity is required' });
@@ -642,6 +699,12 @@ router.patch('/:id/stock', async (req, res) => {
     if (!item) {
       return res.status(404).json({ error: 'Item not found' });
     }
+    if (item.productType === 'Bundle') {
+      return res.status(400).json({
+        error: 'Bundles have no stock of their own',
+        details: 'Adjust the stock of the component items instead'
+      });
+    }
 
     let newQuantity = quantity;
     
@@ -656,13 +719,34 @@ router.patch('/:id/stock', async (req, res) => {
 
     item.quantity = newQuantity;
     item.lastUpdated = new Date();
-    await item.save();
 
-    res.json({ 
-      message: 'Stock updated successfully', 
-      item: item 
+    if (!fulfil) {
+      await item.save();
+      return res.json({ 
+        message: 'Stock updated successfully', 
+        item: item 
+      });
+    }
+
+    session = await Item.startSession();
+    session.startTransaction();
+    await item.save({ session });
+    const backordersFulfilled = await fulfilBackorders({ itemId: item._id, note: 'Stock added', changedBy: changedByFrom(req) }, session);
+    await session.commitTransaction();
+    session.endSession();
+
+    console.log(`✅ Fulfilled ${backordersFulfilled.length} backorder(s) from new stock of ${item.name}`);
+
+    res.json({
+      message: 'Stock updated successfully',
+      item: await Item.findById(item._id),
+      backordersFulfilled
     });
   } catch (error) {
+    if (session) {
+      if (session.inTransaction()) await session.abortTransaction();
+      session.endSession();
+    }
     console.error('❌ Error updating stock:', error);
     res.status(500).json({ 
       error: 'Failed to update stock', 
@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const PriceList = require('../models/priceLists');
+const { customerNameQuery, findPricedCustomer, findCustomerPriceList } = require('../utils/priceLists');
+const { resolveCustomer, isWalkIn } = require('../utils/customers');
+
+// Helper: ensure DB connection
+const ensureConnection = async () => {
+  if (mongoose.connection.readyState === 1) return true;
+  if (mongoose.connection.readyState === 2) {
+    const maxWait = 15000;
+    const start = Date.now();
+    while (mongoose.connection.readyState === 2 && Date.now() - start < maxWait) {
+      await new Promise(r => setTimeout(r, 200));
+      if (mongoose.connection.readyState === 1) return true;
+    }
+  }
+  if ((mongoose.connection.readyState === 0 || mongoose.connection.readyState === 3) && process.env.MONGO_URI) {
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        serverSelectionTimeoutMS: 10000,
+        socketTimeoutMS: 30000,
+        connectTimeoutMS: 10000,
+      });
+      await new Promise(r => setTimeout(r, 500));
+      return mongoose.connection.readyState === 1;
+    } catch (e) {
+      return false;
+    }
+  }
+  return false;
+}
+
+// Customers are assigned through /:id/customers so one customer never sits on two lists
+const LIST_FIELDS = ['name', 'description', 'entries', 'isActive'];
+
+const pickListFields = (body = {}) => LIST_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const sendError = (res, err, fallbackMessage) => {
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Invalid price list', details: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(400).json({ error: 'A price list with this name already exists' });
+  }
+  if (err.name === 'CastError') {
+    return res.status(400).json({ error: 'Invalid price list ID format' });
+  }
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ error: fallbackMessage, details: err.message });
+};
+
+// GET /api/price-lists - List price lists (?active=true for active ones only)
+router.get('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const filter = req.query.active === 'true' ? { isActive: true } : {};
+    const priceLists = await PriceList.find(filter).sort({ name: 1 }).lean();
+
+    res.json({ priceLists, totalPriceLists: priceLists.length });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch price lists');
+  }
+});
+
+// Param naming a customer by id or by name, as { customerId } or { customerName }
+const customerRef = (value) => (mongoose.isValidObjectId(value) ? { customerId: value } : { customerName: value });
+
+// Names the customer may have been assigned under before lists were keyed on customerId
+const legacyNameQueries = (customer, customerName = '') => {
+  const names = customer ? [customer.name, ...(customer.aliases || []).map(a => a.name)] : [customerName];
+  return names.filter(name => !isWalkIn(name)).map(customerNameQuery);
+};
+
+// GET /api/price-lists/customer/:customer - The active list a customer (id or name) is on (null if none)
+router.get('/customer/:customer', async (req, res) => {
+  try {
+    const ref = customerRef(req.params.customer);
+    const priceList = await findCustomerPriceList(ref);
+    res.json({ customerId: ref.customerId || null, customerName: ref.customerName || '', priceList });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch customer price list');
+  }
+});
+
+// GET /api/price-lists/:id - Get a single price list
+router.get('/:id', async (req, res) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id);
+    if (!priceList) return res.status(404).json({ error: 'Price list not found' });
+
+    res.json(priceList);
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch price list');
+  }
+});
+
+/**
+ * POST /api/price-lists
+ * Body: { name, description?, entries: [{ itemId } or { productType, coverType?, bikeName?, plateCompany?,
+ *   plateType?, formCompany?, formType?, formVariant? }, plus price], isActive? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const priceList = new PriceList(pickListFields(req.body));
+    await priceList.save();
+
+    res.status(201).json({ message: 'Price list created successfully', priceList });
+  } catch (err) {
+    sendError(res, err, 'Failed to create price list');
+  }
+});
+
+// PUT /api/price-lists/:id - Update a price list (entries are replaced as a whole when sent)
+router.put('/:id', async (req, res) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id);
+    if (!priceList) return res.status(404).json({ error: 'Price list not found' });
+
+    priceList.set(pickListFields(req.body));
+    await priceList.save();
+
+    res.json({ message: 'Price list updated successfully', priceList });
+  } catch (err) {
+    sendError(res, err, 'Failed to update price list');
+  }
+});
+
+// DELETE /api/price-lists/:id - Deactivate a price list; its customers go back to normal prices
+router.delete('/:id', async (req, res) => {
+  try {
+    const priceList = await PriceList.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+    if (!priceList) return res.status(404).json({ error: 'Price list not found' });
+
+    res.json({ message: 'Price list deactivated successfully', priceList });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete price list');
+  }
+});
+
+/**
+ * POST /api/price-lists/:id/customers - Assign a customer, moving them off any other list
+ * Body: { customerId } or { customerName } (a new name gets a customer record, as at checkout).
+ * The list holds the customer's id, so renaming or merging the customer keeps them on it.
+ */
+router.post('/:id/customers', async (req, res) => {
+  try {
+    const { customerId } = req.body || {};
+    const customerName = String((req.body && req.body.customerName) || '').trim();
+    if (!customerId && isWalkIn(customerName)) {
+      return res.status(400).json({ error: 'A named customer is required' });
+    }
+
+    const priceList = await PriceList.findById(req.params.id);
+    if (!priceList) return res.status(404).json({ error: 'Price list not found' });
+
+    const customer = await resolveCustomer({ customerId, customerName });
+
+    await PriceList.updateMany(
+      {},
+      { $pull: { customerIds: customer._id, customers: { $in: legacyNameQueries(customer) } } }
+    );
+
+    const assigned = await PriceList.findByIdAndUpdate(
+      priceList._id,
+      { $addToSet: { customerIds: customer._id } },
+      { new: true }
+    );
+
+    res.json({ message: `${customer.name} assigned to price list ${assigned.name}`, priceList: assigned });
+  } catch (err) {
+    sendError(res, err, 'Failed to assign customer to price list');
+  }
+});
+
+// DELETE /api/price-lists/:id/customers/:customer - Take a customer (id or name) off a list
+router.delete('/:id/customers/:customer', async (req, res) => {
+  try {
+    const ref = customerRef(req.params.customer);
+    const customer = await findPricedCustomer(ref);
+    const pull = { customers: { $in: legacyNameQueries(customer, ref.customerName) } };
+    if (customer) pull.customerIds = customer._id;
+
+    const priceList = await PriceList.findByIdAndUpdate(req.params.id, { $pull: pull }, { new: true });
+    if (!priceList) return res.status(404).json({ error: 'Price list not found' });
+
+    res.json({ message: `${customer ? customer.name : req.params.customer} removed from price list ${priceList.name}`, priceList });
+  } catch (err) {
+    sendError(res, err, 'Failed to remove customer from price list');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const PricingRule = require('../models/pricingRules');
+const { loadPricingRules } = require('../utils/pricing');
+
+// Helper: ensure DB connection
+const ensureConnection = async () => {
+  if (mongoose.connection.readyState === 1) return true;
+  if (mongoose.connection.readyState === 2) {
+    const maxWait = 15000;
+    const start = Date.now();
+    while (mongoose.connection.readyState === 2 && Date.now() - start < maxWait) {
+      await new Promise(r => setTimeout(r, 200));
+      if (mongoose.connection.readyState === 1) return true;
+    }
+  }
+  if ((mongoose.connection.readyState === 0 || mongoose.connection.readyState === 3) && process.env.MONGO_URI) {
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        serverSelectionTimeoutMS: 10000,
+        socketTimeoutMS: 30000,
+        connectTimeoutMS: 10000,
+      });
+      await new Promise(r => setTimeout(r, 500));
+      return mongoose.connection.readyState === 1;
+    } catch (e) {
+      return false;
+    }
+  }
+  return false;
+}
+
+const RULE_FIELDS = ['name', 'description', 'conditions', 'tiers', 'priority', 'startDate', 'endDate', 'isActive'];
+
+// Only the editable rule fields from the request body
+const pickRuleFields = (body = {}) => RULE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const sendError = (res, err, fallbackMessage) => {
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Invalid pricing rule', details: err.message });
+  }
+  if (err.name === 'CastError') {
+    return res.status(400).json({ error: 'Invalid pricing rule ID format' });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ error: fallbackMessage, details: err.message });
+};
+
+// GET /api/pricing-rules - List rules (?active=true for rules in force right now)
+router.get('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const rules = req.query.active === 'true'
+      ? await loadPricingRules()
+      : await PricingRule.find().sort({ isActive: -1, priority: -1, name: 1 }).lean();
+
+    res.json({ rules, totalRules: rules.length });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch pricing rules');
+  }
+});
+
+// GET /api/pricing-rules/:id - Get a single rule
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Pricing rule not found' });
+
+    res.json(rule);
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch pricing rule');
+  }
+});
+
+/**
+ * POST /api/pricing-rules
+ * Body: { name, description?, conditions?: { productType[], coverType[], bikeName[], plateCompany[],
+ *   formCompany[], customerName[] }, tiers: [{ minQuantity, type: 'fixed'|'percentage', value }],
+ *   priority?, startDate?, endDate?, isActive? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const rule = new PricingRule(pickRuleFields(req.body));
+    await rule.save();
+
+    res.status(201).json({ message: 'Pricing rule created successfully', rule });
+  } catch (err) {
+    sendError(res, err, 'Failed to create pricing rule');
+  }
+});
+
+// PUT /api/pricing-rules/:id - Update a rule (fields not sent are kept). Existing slips keep their prices.
+router.put('/:id', async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Pricing rule not found' });
+
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+
+    res.json({ message: 'Pricing rule updated successfully', rule });
+  } catch (err) {
+    sendError(res, err, 'Failed to update pricing rule');
+  }
+});
+
+// DELETE /api/pricing-rules/:id - Deactivate a rule (slips that used it still show its name)
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = await PricingRule.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+    if (!rule) return res.status(404).json({ error: 'Pricing rule not found' });
+
+    res.json({ message: 'Pricing rule deactivated successfully', rule });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete pricing rule');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Promotion = require('../models/promotions');
+const PromotionRedemption = require('../models/promotionRedemptions');
+const { priceProductsForCustomer, calculateTotals } = require('../utils/slipService');
+const { findUsablePromotion, applyPromotion } = require('../utils/promotions');
+
+// Helper: ensure DB connection
+const ensureConnection = async () => {
+  if (mongoose.connection.readyState === 1) return true;
+  if (mongoose.connection.readyState === 2) {
+    const maxWait = 15000;
+    const start = Date.now();
+    while (mongoose.connection.readyState === 2 && Date.now() - start < maxWait) {
+      await new Promise(r => setTimeout(r, 200));
+      if (mongoose.connection.readyState === 1) return true;
+    }
+  }
+  if ((mongoose.connection.readyState === 0 || mongoose.connection.readyState === 3) && process.env.MONGO_URI) {
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        serverSelectionTimeoutMS: 10000,
+        socketTimeoutMS: 30000,
+        connectTimeoutMS: 10000,
+      });
+      await new Promise(r => setTimeout(r, 500));
+      return mongoose.connection.readyState === 1;
+    } catch (e) {
+      return false;
+    }
+  }
+  return false;
+}
+
+// redemptionCount is kept by checkout and cancellation, never set by hand
+const PROMOTION_FIELDS = [
+  'code', 'name', 'description', 'eligibility', 'type', 'value',
+  'maxRedemptions', 'maxRedemptionsPerCustomer', 'startDate', 'endDate', 'isActive'
+];
+
+// Only the editable promotion fields from the request body
+const pickPromotionFields = (body = {}) => PROMOTION_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const sendError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Invalid promotion', details: err.message });
+  }
+  if (err.name === 'CastError') {
+    return res.status(400).json({ error: 'Invalid promotion ID format' });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ error: 'A promotion with this code already exists' });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ error: fallbackMessage, details: err.message });
+};
+
+// Redemptions filter from ?startDate, ?endDate and ?includeReversed=true
+const redemptionFilter = ({ startDate, endDate, includeReversed }) => {
+  const filter = {};
+  if (includeReversed !== 'true') filter.reversedAt = null;
+  if (startDate || endDate) {
+    filter.redeemedAt = {};
+    if (startDate) filter.redeemedAt.$gte = new Date(startDate);
+    if (endDate) filter.redeemedAt.$lte = new Date(endDate);
+  }
+  return filter;
+};
+
+// GET /api/promotions - List promotions (?active=true for promotions usable right now)
+router.get('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const filter = {};
+    if (req.query.active === 'true') {
+      const now = new Date();
+      filter.isActive = true;
+      filter.$and = [
+        { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+        { $or: [{ endDate: null }, { endDate: { $gte: now } }] }
+      ];
+    }
+
+    const promotions = await Promotion.find(filter).sort({ isActive: -1, createdAt: -1 }).lean();
+
+    res.json({ promotions, totalPromotions: promotions.length });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch promotions');
+  }
+});
+
+// GET /api/promotions/report - Redemptions per code (?startDate, ?endDate, ?includeReversed=true)
+router.get('/report', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const report = await PromotionRedemption.aggregate([
+      { $match: redemptionFilter(req.query) },
+      {
+        $group: {
+          _id: '$promotionId',
+          code: { $first: '$code' },
+          redemptions: { $sum: 1 },
+          customers: { $addToSet: '$customerName' },
+          discountAmount: { $sum: '$discountAmount' },
+          salesAmount: { $sum: '$slipTotal' },
+          firstRedeemedAt: { $min: '$redeemedAt' },
+          lastRedeemedAt: { $max: '$redeemedAt' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          promotionId: '$_id',
+          code: 1,
+          redemptions: 1,
+          customers: { $size: '$customers' },
+          discountAmount: { $round: ['$discountAmount', 2] },
+          salesAmount: { $round: ['$salesAmount', 2] },
+          firstRedeemedAt: 1,
+          lastRedeemedAt: 1
+        }
+      },
+      { $sort: { discountAmount: -1 } }
+    ]);
+
+    res.json({
+      report,
+      totals: {
+        redemptions: report.reduce((sum, r) => sum + r.redemptions, 0),
+        discountAmount: Math.round(report.reduce((sum, r) => sum + r.discountAmount, 0) * 100) / 100
+      }
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to build promotion report');
+  }
+});
+
+/**
+ * POST /api/promotions/validate
+ * Body: { code, customerName?, products }
+ * Checks a code against a bill before checkout and shows the discount each line would get.
+ * Nothing is redeemed.
+ */
+router.post('/validate', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const { code, customerName = '', discount = 0, products } = req.body || {};
+    if (!code) return res.status(400).json({ error: 'code is required' });
+
+    const promotion = await findUsablePromotion(code, { customerId: req.body.customerId, customerName });
+    if (!Array.isArray(products) || products.length === 0) {
+      return res.json({ valid: true, promotion });
+    }
+
+    const applied = applyPromotion(promotion, await priceProductsForCustomer(products, { customerId: req.body.customerId, customerName }));
+    const totals = calculateTotals(applied.products, discount);
+
+    res.json({
+      valid: applied.lines.length > 0,
+      reason: applied.lines.length > 0 ? undefined : 'The code does not apply to any product on this bill',
+      promotion,
+      lines: applied.lines,
+      discountAmount: applied.discountAmount,
+      products: applied.products,
+      ...totals
+    });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.json({ valid: false, reason: err.message });
+    }
+    sendError(res, err, 'Failed to validate promotion code');
+  }
+});
+
+// GET /api/promotions/:id - Get a single promotion
+router.get('/:id', async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) return res.status(404).json({ error: 'Promotion not found' });
+
+    res.json(promotion);
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch promotion');
+  }
+});
+
+// GET /api/promotions/:id/redemptions - Slips that used the promotion (?startDate, ?endDate, ?includeReversed=true)
+router.get('/:id/redemptions', async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id).lean();
+    if (!promotion) return res.status(404).json({ error: 'Promotion not found' });
+
+    const redemptions = await PromotionRedemption.find({ ...redemptionFilter(req.query), promotionId: promotion._id })
+      .sort({ redeemedAt: -1 })
+      .lean();
+
+    res.json({
+      promotion,
+      redemptions,
+      totalRedemptions: redemptions.length,
+      discountAmount: Math.round(redemptions.reduce((sum, r) => sum + r.discountAmount, 0) * 100) / 100
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch promotion redemptions');
+  }
+});
+
+/**
+ * POST /api/promotions
+ * Body: { code, name, description?, eligibility?: { productType[], coverType[] },
+ *   type: 'fixed'|'percentage', value, maxRedemptions?, maxRedemptionsPerCustomer?,
+ *   startDate?, endDate?, isActive? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const promotion = new Promotion(pickPromotionFields(req.body));
+    await promotion.save();
+
+    res.status(201).json({ message: 'Promotion created successfully', promotion });
+  } catch (err) {
+    sendError(res, err, 'Failed to create promotion');
+  }
+});
+
+// PUT /api/promotions/:id - Update a promotion (fields not sent are kept). Redeemed slips keep their discount.
+router.put('/:id', async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) return res.status(404).json({ error: 'Promotion not found' });
+
+    promotion.set(pickPromotionFields(req.body));
+    await promotion.save();
+
+    res.json({ message: 'Promotion updated successfully', promotion });
+  } catch (err) {
+    sendError(res, err, 'Failed to update promotion');
+  }
+});
+
+// DELETE /api/promotions/:id - Deactivate a promotion (its redemptions stay reportable)
+router.delete('/:id', async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+    if (!promotion) return res.status(404).json({ error: 'Promotion not found' });
+
+    res.json({ message: 'Promotion deactivated successfully', promotion });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete promotion');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,305 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Quotation = require('../models/quotations');
+const { PAGE_FORMATS, renderQuotationPdf } = require('../utils/pdf');
+const { priceProductsForCustomer, calculateTotals, checkoutSlip } = require('../utils/slipService');
+const { findInventoryItem } = require('../utils/inventory');
+const { findCustomerPriceList, findListEntry } = require('../utils/priceLists');
+const httpError = require('../utils/httpError');
+const { runInTransaction } = require('../utils/transactions');
+
+// Helper: ensure DB connection
+const ensureConnection = async () => {
+  if (mongoose.connection.readyState === 1) return true;
+  if (mongoose.connection.readyState === 2) {
+    const maxWait = 15000;
+    const start = Date.now();
+    while (mongoose.connection.readyState === 2 && Date.now() - start < maxWait) {
+      await new Promise(r => setTimeout(r, 200));
+      if (mongoose.connection.readyState === 1) return true;
+    }
+  }
+  if ((mongoose.connection.readyState === 0 || mongoose.connection.readyState === 3) && process.env.MONGO_URI) {
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        serverSelectionTimeoutMS: 10000,
+        socketTimeoutMS: 30000,
+        connectTimeoutMS: 10000,
+      });
+      await new Promise(r => setTimeout(r, 500));
+      return mongoose.connection.readyState === 1;
+    } catch (e) {
+      return false;
+    }
+  }
+  return false;
+}
+
+// Quotes are valid for QUOTATION_VALID_DAYS (default 7) unless validUntil/validDays is sent
+const resolveValidUntil = ({ validUntil, validDays }, from = new Date()) => {
+  if (validUntil) {
+    const date = new Date(validUntil);
+    if (isNaN(date)) throw httpError(400, `Invalid validUntil date '${validUntil}'`);
+    return date;
+  }
+  const days = parseFloat(validDays) || parseFloat(process.env.QUOTATION_VALID_DAYS) || 7;
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+// Priced quotation fields, using the same pricing as POST /api/slips
+const buildQuotationFields = async (data) => {
+  const { customerName, customerPhone, notes, discount = 0, products } = data;
+
+  if (!Array.isArray(products) || products.length === 0) {
+    throw httpError(400, 'Products cannot be empty');
+  }
+
+  const processedProducts = await priceProductsForCustomer(products, { customerName });
+  const totals = calculateTotals(processedProducts, discount);
+
+  return {
+    customerName: customerName || 'Walk Customer',
+    customerPhone: customerPhone || '',
+    notes: notes || '',
+    products: processedProducts,
+    subtotal: totals.subtotal,
+    discount: totals.discount,
+    totalAmount: totals.totalAmount,
+    validUntil: resolveValidUntil(data)
+  };
+};
+
+const findOpenQuotation = async (id, session = null) => {
+  const quotation = await Quotation.findById(id).session(session);
+  if (!quotation) throw httpError(404, 'Quotation not found');
+  if (quotation.status !== 'Open') throw httpError(400, `Quotation is ${quotation.status}`);
+  return quotation;
+};
+
+const sendError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+  if (err.name === 'CastError') {
+    return res.status(400).json({ error: 'Invalid quotation ID format' });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ error: fallbackMessage, details: err.message });
+};
+
+// GET /api/quotations - List quotations (?status, ?customerName, ?active=true for unexpired open quotes)
+router.get('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const { page = 1, limit = 50, status = '', customerName = '', active } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (customerName && customerName.trim()) {
+      filter.customerName = { $regex: customerName.trim(), $options: 'i' };
+    }
+    if (active === 'true') {
+      filter.status = 'Open';
+      filter.validUntil = { $gte: new Date() };
+    }
+
+    const quotations = await Quotation.find(filter)
+      .sort({ date: -1 })
+      .limit(parseInt(limit) || 50)
+      .skip((parseInt(page) - 1) * (parseInt(limit) || 50))
+      .lean();
+
+    const total = await Quotation.countDocuments(filter);
+
+    res.json({
+      quotations,
+      totalPages: Math.ceil(total / (parseInt(limit) || 50)),
+      currentPage: parseInt(page),
+      totalQuotations: total
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch quotations');
+  }
+});
+
+// GET /api/quotations/:id - Get a single quotation
+router.get('/:id', async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) return res.status(404).json({ error: 'Quotation not found' });
+
+    res.json(quotation);
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch quotation');
+  }
+});
+
+// GET /api/quotations/:id/pdf - Printable quotation (?size=a4|a5, default a4)
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const size = String(req.query.size || 'a4').toLowerCase();
+    if (!PAGE_FORMATS.includes(size)) {
+      return res.status(400).json({ error: `Invalid size '${req.query.size}'. Use one of: ${PAGE_FORMATS.join(', ')}` });
+    }
+
+    const quotation = await Quotation.findById(req.params.id).lean();
+    if (!quotation) return res.status(404).json({ error: 'Quotation not found' });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${quotation.quotationNumber || quotation._id}.pdf"`);
+    res.send(renderQuotationPdf(quotation, { format: size }));
+  } catch (err) {
+    sendError(res, err, 'Failed to render quotation PDF');
+  }
+});
+
+// POST /api/quotations - Create a quotation (same product lines as POST /api/slips, plus validUntil or validDays)
+router.post('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const quotation = new Quotation(await buildQuotationFields(req.body || {}));
+    await quotation.save();
+
+    res.status(201).json({ message: 'Quotation created successfully', quotation });
+  } catch (err) {
+    sendError(res, err, 'Failed to create quotation');
+  }
+});
+
+// PUT /api/quotations/:id - Edit an open quotation (fields not sent are kept)
+router.put('/:id', async (req, res) => {
+  try {
+    const quotation = await findOpenQuotation(req.params.id);
+
+    const current = {
+      customerName: quotation.customerName,
+      customerPhone: quotation.customerPhone,
+      notes: quotation.notes,
+      discount: quotation.discount,
+      products: quotation.products.map(p => p.toObject()),
+      validUntil: quotation.validUntil
+    };
+    quotation.set(await buildQuotationFields({ ...current, ...(req.body || {}) }));
+    await quotation.save();
+
+    res.json({ message: 'Quotation updated successfully', quotation });
+  } catch (err) {
+    sendError(res, err, 'Failed to update quotation');
+  }
+});
+
+// DELETE /api/quotations/:id - Cancel an open quotation (kept for the record)
+router.delete('/:id', async (req, res) => {
+  try {
+    const quotation = await findOpenQuotation(req.params.id);
+    quotation.status = 'Cancelled';
+    await quotation.save();
+
+    res.json({ message: 'Quotation cancelled successfully', quotation });
+  } catch (err) {
+    sendError(res, err, 'Failed to cancel quotation');
+  }
+});
+
+/**
+ * POST /api/quotations/:id/convert
+ * Body: { paymentMethod?, partialPayment?, payments?, promotionCode?, customerName?, customerPhone?, notes?, acceptPriceChanges?, overrideCreditLimit? }
+ * Turns an open, unexpired quote into a slip through the normal checkout (stock check, Income).
+ * If an item's price changed since the quote, responds 409 with the differences unless
+ * acceptPriceChanges is true, in which case current prices are used.
+ */
+router.post('/:id/convert', async (req, res) => {
+  try {
+    const { acceptPriceChanges = false, paymentMethod, partialPayment, payments, promotionCode, customerName, customerPhone, notes, overrideCreditLimit } = req.body || {};
+
+    const { slip, quotation, priceChanges } = await runInTransaction(async (session) => {
+      const quotation = await findOpenQuotation(req.params.id, session);
+
+      if (quotation.validUntil < new Date()) {
+        throw httpError(400, 'Quotation has expired', `It was valid until ${quotation.validUntil.toLocaleString()}`);
+      }
+
+      // Re-check quoted base prices against the customer's price list, else current inventory prices
+      const priceList = await findCustomerPriceList({ customerName: customerName || quotation.customerName }, session);
+      const priceChanges = [];
+      const products = [];
+      for (const [lineIndex, line] of quotation.products.entries()) {
+        const product = line.toObject();
+        const inventoryItem = await findInventoryItem(product, session);
+        const listEntry = priceList && findListEntry(priceList, product, inventoryItem && inventoryItem._id);
+        const currentPrice = listEntry ? listEntry.price : (inventoryItem ? inventoryItem.price || 0 : null);
+
+        if (currentPrice !== null && Math.abs(currentPrice - product.basePrice) > 0.01) {
+          priceChanges.push({
+            lineIndex,
+            productName: product.productName,
+            quotedPrice: product.basePrice,
+            currentPrice
+          });
+          if (acceptPriceChanges) product.basePrice = currentPrice;
+        }
+
+        // Manual prices agreed on the quote stay; other lines are re-priced so current discounts apply
+        if (product.discountType !== 'manual') delete product.unitPrice;
+        products.push(product);
+      }
+
+      // Nothing has been written yet, so this commits an empty transaction
+      if (priceChanges.length > 0 && !acceptPriceChanges) return { priceChanges };
+
+      const slip = await checkoutSlip({
+        customerName: customerName || quotation.customerName,
+        customerPhone: customerPhone || quotation.customerPhone,
+        paymentMethod,
+        partialPayment,
+        payments,
+        promotionCode,
+        overrideCreditLimit,
+        notes: notes || `From quotation ${quotation.quotationNumber}${quotation.notes ? ` - ${quotation.notes}` : ''}`,
+        discount: quotation.discount,
+        products
+      }, session);
+
+      quotation.status = 'Converted';
+      quotation.convertedSlipId = slip._id;
+      quotation.convertedAt = new Date();
+      await quotation.save({ session });
+
+      return { slip, quotation, priceChanges };
+    });
+
+    if (!slip) {
+      return res.status(409).json({
+        error: 'Prices have changed since the quotation was issued',
+        details: 'Resend with acceptPriceChanges: true to convert at current prices',
+        priceChanges
+      });
+    }
+
+    res.status(201).json({
+      message: 'Quotation converted to slip successfully',
+      slip,
+      quotation,
+      priceChanges
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to convert quotation');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ReminderRule = require('../models/reminderRules');
+const ReminderLog = require('../models/reminderLogs');
+const Customer = require('../models/customers');
+const { renderReminder, loadReminderContext, sendReminder, runReminderRule } = require('../utils/reminders');
+const { getReminderProvider } = require('../utils/reminderProviders');
+const httpError = require('../utils/httpError');
+
+// Helper: ensure DB connection
+const ensureConnection = async () => {
+  if (mongoose.connection.readyState === 1) return true;
+  if (mongoose.connection.readyState === 2) {
+    const maxWait = 15000;
+    const start = Date.now();
+    while (mongoose.connection.readyState === 2 && Date.now() - start < maxWait) {
+      await new Promise(r => setTimeout(r, 200));
+      if (mongoose.connection.readyState === 1) return true;
+    }
+  }
+  if ((mongoose.connection.readyState === 0 || mongoose.connection.readyState === 3) && process.env.MONGO_URI) {
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        serverSelectionTimeoutMS: 10000,
+        socketTimeoutMS: 30000,
+        connectTimeoutMS: 10000,
+      });
+      await new Promise(r => setTimeout(r, 500));
+      return mongoose.connection.readyState === 1;
+    } catch (e) {
+      return false;
+    }
+  }
+  return false;
+}
+
+
+const RULE_FIELDS = ['name', 'minBalance', 'minDaysOutstanding', 'cooldownDays', 'channel', 'template', 'isActive'];
+
+// Only the editable rule fields from the request body
+const pickRuleFields = (body = {}) => RULE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// The provider asked for in the body, else REMINDER_PROVIDER; an unknown name is the caller's mistake
+const providerFrom = (body = {}) => {
+  try {
+    return getReminderProvider(body.provider);
+  } catch (err) {
+    throw httpError(400, err.message);
+  }
+};
+
+const sendError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Invalid reminder rule', details: err.message });
+  }
+  if (err.name === 'CastError') {
+    return res.status(400).json({ error: 'Invalid ID format' });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ error: 'A reminder rule with this name already exists' });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ error: fallbackMessage, details: err.message });
+};
+
+// GET /api/reminders/rules - List reminder rules
+router.get('/rules', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const rules = await ReminderRule.find().sort({ isActive: -1, minBalance: 1 }).lean();
+
+    res.json({ rules, totalRules: rules.length });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch reminder rules');
+  }
+});
+
+/**
+ * POST /api/reminders/rules
+ * Body: { name, minBalance?, minDaysOutstanding?, cooldownDays?, channel?: 'sms'|'whatsapp', template?, isActive? }
+ * template placeholders: {name} {balance} {lastSlipNumber} {lastSlipDate} {lastSlipAmount} {oldestDays} {shop}
+ */
+router.post('/rules', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const rule = new ReminderRule(pickRuleFields(req.body));
+    await rule.save();
+
+    res.status(201).json({ message: 'Reminder rule created successfully', rule });
+  } catch (err) {
+    sendError(res, err, 'Failed to create reminder rule');
+  }
+});
+
+// PUT /api/reminders/rules/:id - Update a rule (fields not sent are kept)
+router.put('/rules/:id', async (req, res) => {
+  try {
+    const rule = await ReminderRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Reminder rule not found' });
+
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+
+    res.json({ message: 'Reminder rule updated successfully', rule });
+  } catch (err) {
+    sendError(res, err, 'Failed to update reminder rule');
+  }
+});
+
+// DELETE /api/reminders/rules/:id - Deactivate a rule (its logs stay)
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const rule = await ReminderRule.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+    if (!rule) return res.status(404).json({ error: 'Reminder rule not found' });
+
+    res.json({ message: 'Reminder rule deactivated successfully', rule });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete reminder rule');
+  }
+});
+
+// POST /api/reminders/rules/:id/run - Send one rule's reminders now (?dryRun=true to preview; body { provider? })
+router.post('/rules/:id/run', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const rule = await ReminderRule.findById(req.params.id).lean();
+    if (!rule) return res.status(404).json({ error: 'Reminder rule not found' });
+    if (!rule.isActive) return res.status(400).json({ error: `Reminder rule '${rule.name}' is not active` });
+
+    const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+    const summary = await runReminderRule(rule, { dryRun, providerName: providerFrom(req.body).name });
+
+    res.json(summary);
+  } catch (err) {
+    sendError(res, err, 'Failed to run reminder rule');
+  }
+});
+
+/**
+ * POST /api/reminders/run
+ * Runs every active rule, lowest balance threshold last, for a scheduler to call once a day.
+ * A customer reminded by one rule is on cooldown for the next. ?dryRun=true to preview.
+ */
+router.post('/run', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+    const providerName = providerFrom(req.body).name;
+    const rules = await ReminderRule.find({ isActive: true }).sort({ minBalance: -1 }).lean();
+
+    const runs = [];
+    for (const rule of rules) {
+      runs.push(await runReminderRule(rule, { dryRun, providerName }));
+    }
+
+    console.log(`✅ Reminders${dryRun ? ' (dry run)' : ''}: ${runs.reduce((sum, r) => sum + r.sent, 0)} sent, ${runs.reduce((sum, r) => sum + r.failed, 0)} failed over ${runs.length} rule(s)`);
+
+    res.json({ dryRun, runs });
+  } catch (err) {
+    sendError(res, err, 'Failed to run reminders');
+  }
+});
+
+/**
+ * POST /api/reminders/customers/:id/send
+ * Body: { channel?: 'sms'|'whatsapp', message? or template?, provider? }
+ * Sends one reminder to a customer now, outside the rules. Without a message the default rule template is used.
+ */
+router.post('/customers/:id/send', async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id).lean();
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const { channel = 'whatsapp', message, template } = req.body || {};
+    if (!['sms', 'whatsapp'].includes(channel)) {
+      return res.status(400).json({ error: `Invalid channel '${channel}'. Use sms or whatsapp` });
+    }
+    const provider = providerFrom(req.body);
+
+    const text = message
+      ? String(message)
+      : renderReminder(template || ReminderRule.schema.path('template').defaultValue, await loadReminderContext(customer));
+    const log = await sendReminder(customer, { message: text, channel }, provider);
+
+    res.status(log.status === 'Sent' ? 201 : 502).json({
+      message: log.status === 'Sent' ? 'Reminder sent' : `Reminder not sent: ${log.error}`,
+      log
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to send reminder');
+  }
+});
+
+// GET /api/reminders/logs - Send attempts, newest first (?customerId, ?status, ?startDate, ?endDate, ?limit default 200)
+router.get('/logs', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const { customerId, status, startDate, endDate } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+    const filter = {};
+    if (customerId) filter.customerId = customerId;
+    if (status) filter.status = status;
+    if (startDate || endDate) {
+      filter.attemptedAt = {};
+      if (startDate) filter.attemptedAt.$gte = new Date(startDate);
+      if (endDate) filter.attemptedAt.$lte = new Date(endDate);
+    }
+
+    const logs = await ReminderLog.find(filter).sort({ attemptedAt: -1 }).limit(limit).lean();
+
+    res.json({ logs, totalLogs: logs.length });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch reminder logs');
+  }
+});
+
+module.exports = router;
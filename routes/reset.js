@@ -4,6 +4,23 @@ const mongoose = require('mongoose');
 const Slip = require('../models/slips');
 const Income = require('../models/income');
 const Item = require('../models/items');
+const Return = require('../models/returns');
+const Quotation = require('../models/quotations');
+const SlipVersion = require('../models/slipVersions');
+const DayClose = require('../models/dayCloses');
+const Promotion = require('../models/promotions');
+const PromotionRedemption = require('../models/promotionRedemptions');
+const Backorder = require('../models/backorders');
+const Customer = require('../models/customers');
+const CustomerLedgerEntry = require('../models/customerLedger');
+const UdharCollection = require('../models/udharCollections');
+const ReminderLog = require('../models/reminderLogs');
+const CustomerMerge = require('../models/customerMerges');
+const CustomerMergeChange = require('../models/customerMergeChanges');
+const Counter = require('../models/counters');
+const IdempotencyKey = require('../models/idempotencyKeys');
+const PriceList = require('../models/priceLists');
+const { SEED_MARKER_ID } = require('../utils/pricing');
 
 // Helper: ensure DB connection
 const ensureConnection = async () => {
@@ -35,7 +52,12 @@ const ensureConnection = async () => {
 /**
  * POST /api/reset
  * Body: { secret: "your_RESET_SECRET", confirm: "RESET_ALL" }
- * Clears: Slips, Income, Items (full system reset).
+ * Clears: Slips (with their versions), Returns, Backorders, Quotations, Promotion redemptions, Day closes,
+ * Customers (with their ledgers, collections, merges and reminder logs), Income, Items, remembered
+ * Idempotency-Keys and the document number counters, so numbering starts again at 1.
+ * Kept, as shop setup: promotions (use counts zeroed), reminder rules, pricing rules with their seed
+ * marker (so deleted default rules do not come back), and price lists (left with their attribute entries
+ * and no customers).
  * Set RESET_SECRET in .env to enable. If not set, use RESET_SECRET=reset123 for dev.
  */
 router.post('/', async (req, res) => {
@@ -58,21 +80,70 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const results = { slips: 0, income: 0, items: 0 };
+    const results = { slips: 0, slipVersions: 0, returns: 0, backorders: 0, quotations: 0, promotionRedemptions: 0, dayCloses: 0, customers: 0, customerLedgerEntries: 0, customerMerges: 0, collections: 0, reminderLogs: 0, income: 0, items: 0, idempotencyKeys: 0, counters: 0 };
 
     const slipRes = await Slip.deleteMany({});
     results.slips = slipRes.deletedCount;
 
+    const versionRes = await SlipVersion.deleteMany({});
+    results.slipVersions = versionRes.deletedCount;
+
+    const returnRes = await Return.deleteMany({});
+    results.returns = returnRes.deletedCount;
+
+    const backorderRes = await Backorder.deleteMany({});
+    results.backorders = backorderRes.deletedCount;
+
+    const quotationRes = await Quotation.deleteMany({});
+    results.quotations = quotationRes.deletedCount;
+
+    // Promotion definitions are kept; only their use is cleared
+    const redemptionRes = await PromotionRedemption.deleteMany({});
+    results.promotionRedemptions = redemptionRes.deletedCount;
+    await Promotion.updateMany({}, { $set: { redemptionCount: 0 } });
+
+    const dayCloseRes = await DayClose.deleteMany({});
+    results.dayCloses = dayCloseRes.deletedCount;
+
+    const collectionRes = await UdharCollection.deleteMany({});
+    results.collections = collectionRes.deletedCount;
+
+    // Reminder rules are kept; only the send history is cleared
+    const reminderLogRes = await ReminderLog.deleteMany({});
+    results.reminderLogs = reminderLogRes.deletedCount;
+
+    const ledgerRes = await CustomerLedgerEntry.deleteMany({});
+    results.customerLedgerEntries = ledgerRes.deletedCount;
+
+    const mergeRes = await CustomerMerge.deleteMany({});
+    results.customerMerges = mergeRes.deletedCount;
+    await CustomerMergeChange.deleteMany({});
+
+    const customerRes = await Customer.deleteMany({});
+    results.customers = customerRes.deletedCount;
+    // Price lists are kept; the customers assigned to them and the items their entries name are gone
+    await PriceList.updateMany({}, {
+      $set: { customerIds: [], customers: [] },
+      $pull: { entries: { itemId: { $ne: null } } }
+    });
+
     const incomeRes = await Income.deleteMany({});
     results.income = incomeRes.deletedCount;
 
     const itemRes = await Item.deleteMany({});
     results.items = itemRes.deletedCount;
 
+    // A remembered key would replay a slip or Income entry that no longer exists
+    const idempotencyRes = await IdempotencyKey.deleteMany({});
+    results.idempotencyKeys = idempotencyRes.deletedCount;
+
+    const counterRes = await Counter.deleteMany({ _id: { $ne: SEED_MARKER_ID } });
+    results.counters = counterRes.deletedCount;
+
     console.log('✅ Database reset completed:', results);
 
     res.json({
-      message: 'Database reset successfully. Slips, Income, and Items cleared.',
+      message: 'Database reset successfully. Slips (with their version history), Returns, Backorders, Quotations, Promotion redemptions, Day closes, Customers (with their ledgers, collections, merges and reminder logs), Income, Items, Idempotency keys and document number counters cleared.',
       deleted: results,
     });
   } catch (err) {
@@ -0,0 +1,287 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Return = require('../models/returns');
+const Slip = require('../models/slips');
+const Income = require('../models/income');
+const { restoreStock } = require('../utils/inventory');
+const { slipOutstanding } = require('../utils/udhar');
+const { postLedgerEntry } = require('../utils/customers');
+const { changedByFrom, recordSlipVersion } = require('../utils/slipVersions');
+const { runInTransaction } = require('../utils/transactions');
+const httpError = require('../utils/httpError');
+
+// Helper: ensure DB connection
+const ensureConnection = async () => {
+  if (mongoose.connection.readyState === 1) return true;
+  if (mongoose.connection.readyState === 2) {
+    const maxWait = 15000;
+    const start = Date.now();
+    while (mongoose.connection.readyState === 2 && Date.now() - start < maxWait) {
+      await new Promise(r => setTimeout(r, 200));
+      if (mongoose.connection.readyState === 1) return true;
+    }
+  }
+  if ((mongoose.connection.readyState === 0 || mongoose.connection.readyState === 3) && process.env.MONGO_URI) {
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        serverSelectionTimeoutMS: 10000,
+        socketTimeoutMS: 30000,
+        connectTimeoutMS: 10000,
+      });
+      await new Promise(r => setTimeout(r, 500));
+      return mongoose.connection.readyState === 1;
+    } catch (e) {
+      return false;
+    }
+  }
+  return false;
+}
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// GET /api/returns - List returns (?slipId, ?customerName, ?startDate, ?endDate)
+router.get('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const { page = 1, limit = 50, slipId, customerName = '', startDate, endDate } = req.query;
+
+    const filter = {};
+    if (slipId) filter.slipId = slipId;
+    if (customerName && customerName.trim()) {
+      filter.customerName = { $regex: customerName.trim(), $options: 'i' };
+    }
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    const returns = await Return.find(filter)
+      .sort({ date: -1 })
+      .limit(parseInt(limit) || 50)
+      .skip((parseInt(page) - 1) * (parseInt(limit) || 50))
+      .lean();
+
+    const total = await Return.countDocuments(filter);
+
+    res.json({
+      returns,
+      totalPages: Math.ceil(total / (parseInt(limit) || 50)),
+      currentPage: parseInt(page),
+      totalReturns: total
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid slip ID format' });
+    }
+    console.error('❌ Error fetching returns:', err);
+    res.status(500).json({ error: 'Failed to fetch returns', details: err.message });
+  }
+});
+
+// GET /api/returns/:id - Get a single return
+router.get('/:id', async (req, res) => {
+  try {
+    const slipReturn = await Return.findById(req.params.id);
+    if (!slipReturn) return res.status(404).json({ error: 'Return not found' });
+
+    res.json(slipReturn);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid return ID format' });
+    }
+    res.status(500).json({ error: 'Failed to fetch return', details: err.message });
+  }
+});
+
+/**
+ * POST /api/returns
+ * Body: { slipId, lines: [{ lineIndex, quantity }], reason?, notes? }
+ * Restocks only the returned quantities, posts a negative Income entry linked by slipId,
+ * and takes the credit off the customer's Udhar balance when the slip was on credit.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const { slipId, lines, reason = '', notes = '' } = req.body || {};
+
+    if (!slipId || !Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({ error: 'slipId and at least one return line are required' });
+    }
+
+    const { slipReturn, slip } = await runInTransaction(async (session) => {
+      const slip = await Slip.findById(slipId).session(session);
+      if (!slip) {
+        throw httpError(404, 'Slip not found');
+      }
+
+      if (slip.status !== 'Paid') {
+        throw httpError(400, `Only paid slips can take returns. This slip is ${slip.status}.`);
+      }
+      const previousVersion = slip.toObject();
+
+      // Merge repeated lines so the same product line is checked once
+      const requested = new Map();
+      for (const line of lines) {
+        const lineIndex = parseInt(line.lineIndex);
+        const quantity = parseInt(line.quantity);
+
+        if (isNaN(lineIndex) || lineIndex < 0 || lineIndex >= slip.products.length) {
+          throw httpError(400, `Invalid lineIndex '${line.lineIndex}'. Slip has ${slip.products.length} product line(s).`);
+        }
+        if (!quantity || quantity <= 0) {
+          throw httpError(400, `Invalid quantity for line ${lineIndex}: must be greater than 0`);
+        }
+
+        requested.set(lineIndex, (requested.get(lineIndex) || 0) + quantity);
+      }
+
+      const returnLines = [];
+      for (const [lineIndex, quantity] of requested) {
+        const product = slip.products[lineIndex];
+        const alreadyReturned = product.returnedQuantity || 0;
+        // Backordered units have not been handed over yet, so they cannot come back
+        const backordered = product.backorderQuantity || 0;
+
+        if (quantity > product.quantity - alreadyReturned - backordered) {
+          throw httpError(400, `Cannot return ${quantity} of '${product.productName}'. Sold: ${product.quantity}, already returned: ${alreadyReturned}${backordered ? `, still on backorder: ${backordered}` : ''}`);
+        }
+
+        const restored = await restoreStock(product, quantity, session);
+        if (restored) {
+          console.log(`✅ Restocked ${quantity} units of ${product.productName} from return`);
+        } else {
+          console.warn(`⚠️ Product '${product.productName}' not found in inventory to restock`);
+        }
+
+        product.returnedQuantity = alreadyReturned + quantity;
+
+        returnLines.push({
+          lineIndex,
+          productName: product.productName,
+          productType: product.productType,
+          coverType: product.coverType || '',
+          plateType: product.plateType || '',
+          formVariant: product.formVariant || '',
+          bikeName: product.bikeName || '',
+          quantity,
+          unitPrice: product.unitPrice,
+          totalPrice: roundAmount(quantity * product.unitPrice),
+          restocked: restored
+        });
+      }
+
+      // Spread the slip-level discount over the lines so a return never credits more than was charged
+      const linesTotal = returnLines.reduce((sum, line) => sum + line.totalPrice, 0);
+      const discountRatio = slip.subtotal > 0 ? slip.totalAmount / slip.subtotal : 1;
+      const totalAmount = roundAmount(linesTotal * discountRatio);
+
+      // On Udhar slips the credit first clears what is still owed; anything beyond that is refunded
+      const udharCredit = slip.paymentMethod === 'Udhar' ? Math.min(totalAmount, slipOutstanding(slip)) : 0;
+      const cashRefund = roundAmount(totalAmount - udharCredit);
+
+      const slipReturn = new Return({
+        slipId: slip._id,
+        slipNumber: slip.slipNumber || '',
+        customerName: slip.customerName || '',
+        customerPhone: slip.customerPhone || '',
+        paymentMethod: slip.paymentMethod || 'Cash',
+        lines: returnLines,
+        totalAmount,
+        udharCredit,
+        cashRefund,
+        reason,
+        notes
+      });
+      await slipReturn.save({ session });
+
+      slip.returnedAmount = roundAmount((slip.returnedAmount || 0) + totalAmount);
+      if (udharCredit > 0) {
+        slip.remainingBalance = Math.max(0, (slip.remainingBalance || 0) - udharCredit);
+      }
+      await slip.save({ session });
+      await recordSlipVersion(previousVersion, slip.toObject(), {
+        action: 'return',
+        changedBy: changedByFrom(req),
+        reason: `Return ${slipReturn.returnNumber}`
+      }, session);
+
+      if (udharCredit > 0 && slip.customerId) {
+        await postLedgerEntry(slip.customerId, {
+          type: 'Return',
+          amount: -udharCredit,
+          date: slipReturn.date,
+          slip,
+          returnId: slipReturn._id,
+          note: `Return ${slipReturn.returnNumber}`
+        }, session);
+      }
+
+      const incomeRecord = new Income({
+        date: slipReturn.date,
+        entryType: 'Return',
+        totalIncome: -totalAmount,
+        productsSold: returnLines.map(line => ({
+          productName: line.productName || 'Unknown Product',
+          productType: line.productType || 'Cover',
+          coverType: line.coverType,
+          plateType: line.plateType,
+          formVariant: line.formVariant,
+          bikeName: line.bikeName,
+          quantity: -line.quantity,
+          unitPrice: line.unitPrice,
+          totalPrice: -line.totalPrice
+        })),
+        customerName: slip.customerName || 'Walk Customer',
+        customerPhone: slip.customerPhone || '',
+        paymentMethod: slip.paymentMethod || 'Cash',
+        // Credit comes off the Udhar share; the rest is handed back in cash
+        payments: [
+          { method: 'Udhar', amount: -udharCredit },
+          { method: 'Cash', amount: -cashRefund }
+        ].filter(payment => payment.amount < 0),
+        slipNumber: slip.slipNumber || slip._id.toString(),
+        slipId: slip._id,
+        returnId: slipReturn._id,
+        notes: `Return ${slipReturn.returnNumber} against slip ${slip.slipNumber || slip._id}${reason ? ` - Reason: ${reason}` : ''}`
+      });
+      await incomeRecord.save({ session });
+
+      return { slipReturn, slip };
+    });
+
+    console.log(`✅ Recorded return ${slipReturn.returnNumber} for slip ${slip.slipNumber || slip._id}: ${slipReturn.totalAmount} (Udhar credit ${slipReturn.udharCredit}, refund ${slipReturn.cashRefund})`);
+
+    res.status(201).json({
+      message: 'Return recorded successfully',
+      return: slipReturn,
+      slip
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid slip ID format' });
+    }
+    console.error('❌ Error recording return:', err);
+    res.status(500).json({ error: 'Failed to record return', details: err.message });
+  }
+});
+
+module.exports = router;
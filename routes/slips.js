@@ -2,8 +2,34 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const Slip = require('../models/slips');
-const Item = require('../models/items');
 const Income = require('../models/income');
+const { PAGE_FORMATS, renderSlipPdf } = require('../utils/pdf');
+const { RECEIPT_WIDTHS, resolveWidth, renderReceiptText, renderReceiptEscPos } = require('../utils/receipt');
+const {
+  checkStock,
+  deductStock,
+  priceProductsForCustomer,
+  linkInventoryItems,
+  calculateTotals,
+  checkoutSlip
+} = require('../utils/slipService');
+const { restoreStock, findInventoryCandidates, escapeRegex } = require('../utils/inventory');
+const Promotion = require('../models/promotions');
+const PromotionRedemption = require('../models/promotionRedemptions');
+const { applyPromotion, reversePromotionRedemption } = require('../utils/promotions');
+const { cancelSlipBackorders } = require('../utils/backorders');
+const Customer = require('../models/customers');
+const CustomerLedgerEntry = require('../models/customerLedger');
+const UdharCollection = require('../models/udharCollections');
+const Backorder = require('../models/backorders');
+const Return = require('../models/returns');
+const { resolveCustomer, assertWithinCreditLimit, slipBalance, recordSlipBalanceChange } = require('../utils/customers');
+const { resolvePayments } = require('../utils/payments');
+const httpError = require('../utils/httpError');
+const SlipVersion = require('../models/slipVersions');
+const { changedByFrom, recordSlipVersion, updateSlipWithVersion } = require('../utils/slipVersions');
+const { getIdempotencyKey, findIdempotentRequest, claimIdempotencyKey, completeIdempotencyKey } = require('../utils/idempotency');
+const { runInTransaction } = require('../utils/transactions');
 
 // Helper function to ensure MongoDB connection
 // This function actively tries to reconnect if disconnected
@@ -146,6 +172,7 @@ router.get('/', async (req, res) => {
 });
 
 // DELETE /api/slips/all - Permanently delete ALL slips from database (and mark related income inactive)
+// Refused once customer balances, returns, backorders or promotion uses hang off the slips; use POST /api/reset then
 router.delete('/all', async (req, res) => {
   try {
     const isConnected = await ensureConnection();
@@ -156,6 +183,21 @@ router.delete('/all', async (req, res) => {
       });
     }
 
+    const dependents = {
+      customerLedgerEntries: await CustomerLedgerEntry.countDocuments(),
+      collections: await UdharCollection.countDocuments(),
+      returns: await Return.countDocuments(),
+      backorders: await Backorder.countDocuments(),
+      promotionRedemptions: await PromotionRedemption.countDocuments({ reversedAt: null })
+    };
+    if (Object.values(dependents).some(count => count > 0)) {
+      return res.status(409).json({
+        error: 'Slips cannot be deleted on their own while records depend on them',
+        details: 'Customer balances, returns, backorders and promotion uses would point at missing slips. Use POST /api/reset to clear everything together.',
+        dependents
+      });
+    }
+
     // Mark all income records that reference a slip as inactive
     const incomeUpdateResult = await Income.updateMany(
       { slipId: { $exists: true, $ne: null } },
@@ -167,8 +209,9 @@ router.delete('/all', async (req, res) => {
       }
     );
 
-    // Permanently delete all slips
+    // Permanently delete all slips, with their version history
     const slipRes = await Slip.deleteMany({});
+    await SlipVersion.deleteMany({});
 
     console.log(`✅ Deleted all slips: ${slipRes.deletedCount} slip(s), marked ${incomeUpdateResult.modifiedCount} income record(s) inactive.`);
 
@@ -188,6 +231,294 @@ router.delete('/all', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/slips/backfill-item-ids - Link lines saved before itemId existed (?dryRun=true to only report)
+ * A line is linked only when exactly one item matches it; ambiguous and unmatched lines are
+ * listed so they can be fixed by hand.
+ */
+router.post('/backfill-item-ids', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+    const summary = { slipsScanned: 0, slipsUpdated: 0, linesLinked: 0, ambiguous: [], unmatched: [] };
+    const candidateCache = new Map();
+
+    const cursor = Slip.find({ 'products.itemId': null })
+      .select('slipNumber products')
+      .lean()
+      .cursor();
+
+    for await (const slip of cursor) {
+      summary.slipsScanned++;
+      const $set = {};
+
+      for (const [lineIndex, product] of slip.products.entries()) {
+        if (product.itemId) continue;
+
+        const cacheKey = JSON.stringify([
+          product.productName, product.productType, product.coverType, product.bikeName, product.plateCompany,
+          product.plateType, product.formCompany, product.formType, product.formVariant
+        ]);
+        if (!candidateCache.has(cacheKey)) {
+          candidateCache.set(cacheKey, await findInventoryCandidates(product));
+        }
+        const candidates = candidateCache.get(cacheKey);
+        const line = { slipId: slip._id, slipNumber: slip.slipNumber, lineIndex, productName: product.productName };
+
+        if (candidates.length === 1) {
+          $set[`products.${lineIndex}.itemId`] = candidates[0]._id;
+          $set[`products.${lineIndex}.sku`] = candidates[0].sku || '';
+          summary.linesLinked++;
+        } else if (candidates.length > 1) {
+          summary.ambiguous.push({ ...line, candidates: candidates.map(c => ({ itemId: c._id, name: c.name, sku: c.sku })) });
+        } else {
+          summary.unmatched.push(line);
+        }
+      }
+
+      if (Object.keys($set).length > 0) {
+        summary.slipsUpdated++;
+        // updateOne skips the save hook, so slip numbers and totals are left as they are
+        if (!dryRun) {
+          await updateSlipWithVersion(slip._id, { $set }, { action: 'backfill', changedBy: changedByFrom(req), reason: 'Lines linked to inventory items' });
+        }
+      }
+    }
+
+    console.log(`✅ Item backfill${dryRun ? ' (dry run)' : ''}: linked ${summary.linesLinked} line(s) on ${summary.slipsUpdated} slip(s), ${summary.ambiguous.length} ambiguous, ${summary.unmatched.length} unmatched`);
+
+    res.json({
+      message: dryRun ? 'Dry run complete, nothing was changed' : 'Slip lines linked to inventory items',
+      dryRun,
+      ...summary
+    });
+  } catch (err) {
+    console.error('❌ Error backfilling slip item IDs:', err);
+    res.status(500).json({
+      error: 'Failed to backfill slip item IDs',
+      details: err.message
+    });
+  }
+});
+
+/* -----------------------------------------
+   Parked slips (status 'Pending')
+   A half-built bill saved without touching stock or Income.
+   It is finalized later through the same checkout as POST /api/slips.
+------------------------------------------- */
+
+// Parked slips are removed after PARKED_SLIP_EXPIRY_HOURS (default 24) without activity
+const parkedExpiry = () => {
+  const hours = parseFloat(process.env.PARKED_SLIP_EXPIRY_HOURS) || 24;
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+};
+
+// Priced fields for a parked slip; nothing is checked against stock yet
+const buildParkedFields = async (data) => {
+  const { customerName, customerPhone, paymentMethod, notes, discount = 0, partialPayment = 0, payments = [], promotionCode = '', products = [] } = data;
+
+  if (!Array.isArray(products)) {
+    throw httpError(400, 'Products must be an array');
+  }
+  if (!Array.isArray(payments)) {
+    throw httpError(400, 'Payments must be an array');
+  }
+
+  const processedProducts = await priceProductsForCustomer(products, { customerId: data.customerId, customerName });
+  const totals = calculateTotals(processedProducts, discount);
+
+  return {
+    customerName: customerName || 'Walk Customer',
+    customerPhone: customerPhone || '',
+    paymentMethod: paymentMethod || 'Cash',
+    notes: notes || '',
+    products: processedProducts,
+    subtotal: totals.subtotal,
+    discount: totals.discount,
+    totalAmount: totals.totalAmount,
+    partialPayment: parseFloat(partialPayment) || 0,
+    // Checked against the total at finalize, when the bill can no longer change
+    payments,
+    // Validated and applied at finalize too
+    promotionCode: String(promotionCode || '').trim().toUpperCase(),
+    status: 'Pending',
+    expiresAt: parkedExpiry()
+  };
+};
+
+// Current fields of a parked slip, so partial edits keep everything not sent
+const parkedSlipData = (slip) => ({
+  customerName: slip.customerName,
+  customerPhone: slip.customerPhone,
+  paymentMethod: slip.paymentMethod,
+  notes: slip.notes,
+  discount: slip.discount,
+  partialPayment: slip.partialPayment,
+  payments: slip.payments.map(p => p.toObject()),
+  promotionCode: slip.promotionCode,
+  products: slip.products.map(p => p.toObject())
+});
+
+const findParkedSlip = async (id, session = null) => {
+  const slip = await Slip.findById(id).session(session);
+  if (!slip) throw httpError(404, 'Slip not found');
+  if (slip.status !== 'Pending') throw httpError(400, `Slip is not parked (status: ${slip.status})`);
+  if (slip.expiresAt && slip.expiresAt <= new Date()) {
+    throw httpError(410, 'Parked slip has expired', `It expired on ${slip.expiresAt.toLocaleString()}`);
+  }
+  return slip;
+};
+
+// GET /api/slips/parked - List parked slips that have not expired
+router.get('/parked', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({ 
+        error: 'Database connection unavailable', 
+        details: 'Please try again in a moment' 
+      });
+    }
+
+    const { customerName = '' } = req.query;
+    const filter = { status: 'Pending', expiresAt: { $gt: new Date() } };
+    if (customerName && customerName.trim()) {
+      filter.customerName = { $regex: escapeRegex(customerName.trim()), $options: 'i' };
+    }
+
+    const slips = await Slip.find(filter).sort({ updatedAt: -1 }).lean();
+
+    res.json({ slips, total: slips.length });
+  } catch (err) {
+    console.error('❌ Error fetching parked slips:', err);
+    res.status(500).json({ error: 'Failed to fetch parked slips', details: err.message });
+  }
+});
+
+// POST /api/slips/parked - Park a bill (same body as POST /api/slips, products may be incomplete)
+router.post('/parked', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({ 
+        error: 'Database connection unavailable', 
+        details: 'Please try again in a moment' 
+      });
+    }
+
+    const slip = new Slip({ ...(await buildParkedFields(req.body || {})), parkedAt: new Date() });
+    await slip.save();
+
+    res.status(201).json({ message: 'Slip parked successfully', slip });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    console.error('❌ Error parking slip:', err);
+    res.status(500).json({ error: 'Failed to park slip', details: err.message });
+  }
+});
+
+// PUT /api/slips/parked/:id - Edit a parked slip (fields not sent are kept); resets its expiry
+router.put('/parked/:id', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({ 
+        error: 'Database connection unavailable', 
+        details: 'Please try again in a moment' 
+      });
+    }
+
+    const slip = await findParkedSlip(req.params.id);
+    const previousVersion = slip.toObject();
+
+    slip.set(await buildParkedFields({ ...parkedSlipData(slip), ...(req.body || {}) }));
+    await slip.save();
+    await recordSlipVersion(previousVersion, slip.toObject(), { changedBy: changedByFrom(req) });
+
+    res.json({ message: 'Parked slip updated successfully', slip });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid slip ID format' });
+    }
+    console.error('❌ Error updating parked slip:', err);
+    res.status(500).json({ error: 'Failed to update parked slip', details: err.message });
+  }
+});
+
+// POST /api/slips/parked/:id/finalize - Check stock, deduct it, post Income and mark the slip Paid
+router.post('/parked/:id/finalize', async (req, res) => {
+  try {
+    const finalizedSlip = await runInTransaction(async (session) => {
+      const slip = await findParkedSlip(req.params.id, session);
+
+      // The sale happens now, not when the bill was parked
+      slip.date = new Date();
+      slip.expiresAt = null;
+
+      return checkoutSlip({ ...parkedSlipData(slip), ...(req.body || {}) }, session, slip);
+    });
+
+    res.json({ message: 'Parked slip finalized successfully', slip: finalizedSlip });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid slip ID format' });
+    }
+    console.error('❌ Error finalizing parked slip:', err);
+    res.status(500).json({ error: 'Failed to finalize parked slip', details: err.message });
+  }
+});
+
+// DELETE /api/slips/parked/:id - Discard a parked slip
+router.delete('/parked/:id', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({ 
+        error: 'Database connection unavailable', 
+        details: 'Please try again in a moment' 
+      });
+    }
+
+    const slip = await findParkedSlip(req.params.id);
+    await recordSlipVersion(slip.toObject(), null, { action: 'delete', changedBy: changedByFrom(req) });
+    await Slip.findByIdAndDelete(slip._id);
+
+    res.json({ message: 'Parked slip discarded successfully' });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid slip ID format' });
+    }
+    console.error('❌ Error discarding parked slip:', err);
+    res.status(500).json({ error: 'Failed to discard parked slip', details: err.message });
+  }
+});
+
+// Money collected against an Udhar slip has a receipt and Income of its own; cancelling or deleting
+// the slip would leave that payment with nothing to pay for
+const collectedPaymentError = (slip, action) => (slip.collectedAmount || 0) > 0 ? {
+  error: `A slip with collections against it cannot be ${action}`,
+  details: `${slip.collectedAmount} was collected on this slip. Record a return for the goods instead.`,
+  collectedAmount: slip.collectedAmount
+} : null;
+
 // PATCH /api/slips/cancel/:id - Dedicated cancel endpoint (using /cancel/:id to avoid route conflicts)
 router.patch('/cancel/:id', async (req, res) => {
   const session = await Slip.startSession();
@@ -201,6 +532,16 @@ router.patch('/cancel/:id', async (req, res) => {
       return res.status(404).json({ error: 'Slip not found' });
     }
 
+    // Parked slips never touched stock or Income; they are discarded instead
+    if (existingSlip.status === 'Pending') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ 
+        error: 'Parked slips cannot be cancelled',
+        details: 'Discard it with DELETE /api/slips/parked/:id'
+      });
+    }
+
     // Prevent duplicate cancellation
     if (existingSlip.status === 'Cancelled') {
       await session.abortTransaction();
@@ -212,6 +553,15 @@ router.patch('/cancel/:id', async (req, res) => {
       });
     }
 
+    const collectedError = collectedPaymentError(existingSlip, 'cancelled');
+    if (collectedError) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json(collectedError);
+    }
+
+    const previousVersion = existingSlip.toObject();
+
     // Mark slip as cancelled
     existingSlip.status = 'Cancelled';
     existingSlip.cancelledAt = new Date();
@@ -239,33 +589,22 @@ router.patch('/cancel/:id', async (req, res) => {
 
     console.log(`✅ Marked ${incomeUpdateResult.modifiedCount} income record(s) as inactive for cancelled slip ${existingSlip.slipNumber || existingSlip._id}`);
 
+    // A cancelled sale no longer counts against the promotion's usage limits
+    await reversePromotionRedemption(existingSlip._id, session);
+    await cancelSlipBackorders(existingSlip._id, session);
+
     // Restore inventory quantities for cancelled slip
     let restoredCount = 0;
     if (existingSlip.products && existingSlip.products.length > 0) {
       for (const product of existingSlip.products) {
         const productName = product.productName;
-        const quantity = product.quantity || 0;
+        // Units already brought back through returns were restocked then; backordered units never left stock
+        const quantity = (product.quantity || 0) - (product.returnedQuantity || 0) - (product.backorderQuantity || 0);
 
         if (!productName || quantity <= 0) continue;
 
-        const inventoryItem = await Item.findOne({
-          $or: [
-            { name: { $regex: new RegExp(`^${productName}$`, 'i') } },
-            { sku: { $regex: new RegExp(`^${productName}$`, 'i') } }
-          ],
-          isActive: { $ne: false }
-        }).session(session);
-
-        if (inventoryItem) {
-          // Restore the quantity back to inventory
-          await Item.findByIdAndUpdate(
-            inventoryItem._id,
-            { 
-              $inc: { quantity: quantity }, 
-              lastUpdated: new Date() 
-            },
-            { session }
-          );
+        const restored = await restoreStock(product, quantity, session);
+        if (restored) {
           restoredCount++;
           console.log(`✅ Restored ${quantity} units of ${productName} to inventory`);
         } else {
@@ -275,6 +614,12 @@ router.patch('/cancel/:id', async (req, res) => {
     }
 
     await existingSlip.save({ session });
+    await recordSlipBalanceChange(previousVersion, existingSlip, 'Cancellation', session);
+    await recordSlipVersion(previousVersion, existingSlip.toObject(), {
+      action: 'cancel',
+      changedBy: changedByFrom(req),
+      reason: req.body.reason || ''
+    }, session);
     await session.commitTransaction();
     session.endSession();
 
@@ -314,13 +659,9 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// CREATE slip + update inventory
-router.post('/', async (req, res) => {
-  const session = await Slip.startSession();
-  session.startTransaction();
-
+// GET /api/slips/:id/pdf - Server-rendered invoice (?size=a4|a5, default a4)
+router.get('/:id/pdf', async (req, res) => {
   try {
-    // Ensure MongoDB connection
     const isConnected = await ensureConnection();
     if (!isConnected) {
       return res.status(503).json({ 
@@ -329,341 +670,192 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Check if req.body exists
-    if (!req.body || Object.keys(req.body).length === 0) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({ 
-        error: 'Request body is empty or not parsed. Make sure Content-Type is application/json' 
-      });
+    const size = String(req.query.size || 'a4').toLowerCase();
+    if (!PAGE_FORMATS.includes(size)) {
+      return res.status(400).json({ error: `Invalid size '${req.query.size}'. Use one of: ${PAGE_FORMATS.join(', ')}` });
     }
 
-    const { customerName, customerPhone, paymentMethod, subtotal, totalAmount, discount = 0, partialPayment = 0, products } = req.body;
+    const slip = await Slip.findById(req.params.id).lean();
+    if (!slip) return res.status(404).json({ error: 'Slip not found' });
 
-    if (!products || products.length === 0) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({ error: 'Products cannot be empty' });
-    }
+    const pdf = renderSlipPdf(slip, { format: size });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${slip.slipNumber || slip._id}.pdf"`);
+    res.send(pdf);
 
-    const productUpdates = [];
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid slip ID format' });
+    }
 
-    for (const p of products) {
-      const productName = p.productName || p.itemName;
-      const quantity = p.quantity;
-      const unitPrice = p.unitPrice ?? p.price;
+    console.error('❌ Error rendering slip PDF:', err);
+    res.status(500).json({ error: 'Failed to render slip PDF', details: err.message });
+  }
+});
 
-      if (!productName || !quantity || quantity <= 0) {
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(400).json({ error: 'Invalid product data: productName and quantity are required' });
-      }
+// GET /api/slips/:id/receipt - Thermal receipt (?format=text|escpos, ?width=32|48 or ?paper=58mm|80mm)
+router.get('/:id/receipt', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({ 
+        error: 'Database connection unavailable', 
+        details: 'Please try again in a moment' 
+      });
+    }
 
-      // PRIORITY 1: Try to find by exact name/SKU match first (most reliable)
-      let inventoryItem = null;
-      if (productName) {
-        inventoryItem = await Item.findOne({
-          $and: [
-            {
-              $or: [
-                { name: { $regex: new RegExp(`^${productName.trim()}$`, 'i') } },
-                { sku: { $regex: new RegExp(`^${productName.trim()}$`, 'i') } }
-              ]
-            },
-            {
-              $or: [{ isActive: true }, { isActive: { $exists: false } }]
-            }
-          ]
-        }).session(session);
-      }
+    const format = String(req.query.format || 'text').toLowerCase();
+    if (format !== 'text' && format !== 'escpos') {
+      return res.status(400).json({ error: `Invalid format '${req.query.format}'. Use one of: text, escpos` });
+    }
 
-      // PRIORITY 2: If not found by name/SKU, try by attributes (fallback)
-      if (!inventoryItem) {
-        const query = {
-          productType: p.productType || 'Cover',
-          $or: [{ isActive: true }, { isActive: { $exists: false } }]
-        };
+    const width = resolveWidth(req.query);
+    if (!RECEIPT_WIDTHS.includes(width)) {
+      return res.status(400).json({
+        error: 'Invalid receipt width',
+        details: `Use width=${RECEIPT_WIDTHS.join('|')} or paper=58mm|80mm`
+      });
+    }
 
-        // Add productType-specific fields
-        if (p.productType === 'Cover' && p.coverType) {
-          query.coverType = p.coverType;
-        } else if (p.productType === 'Plate') {
-          if (p.bikeName) query.bikeName = p.bikeName;
-          if (p.plateCompany) query.plateCompany = p.plateCompany;
-          if (p.plateType) query.plateType = p.plateType;
-        } else if (p.productType === 'Form') {
-          if (p.formCompany) query.formCompany = p.formCompany;
-          if (p.formType) query.formType = p.formType;
-          if (p.formVariant) query.formVariant = p.formVariant;
-          if (p.bikeName) query.bikeName = p.bikeName;
-        }
+    const slip = await Slip.findById(req.params.id).lean();
+    if (!slip) return res.status(404).json({ error: 'Slip not found' });
 
-        inventoryItem = await Item.findOne(query).session(session);
-      }
+    const filename = `${slip.slipNumber || slip._id}`;
+    if (format === 'escpos') {
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.bin"`);
+      return res.send(renderReceiptEscPos(slip, width));
+    }
 
-      if (!inventoryItem) {
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(400).json({ 
-          error: `Product not found in inventory`,
-          details: `No matching product found for: ${productName}`
-        });
-      }
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.send(renderReceiptText(slip, width));
 
-      // Refresh the item from database to get latest quantity (avoid stale data)
-      const freshItem = await Item.findById(inventoryItem._id).session(session);
-      if (!freshItem) {
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(400).json({ error: `Product '${productName}' was found but could not be retrieved` });
-      }
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid slip ID format' });
+    }
 
-      // Check stock with fresh data
-      if (freshItem.quantity < quantity) {
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(400).json({
-          error: `Insufficient stock for '${productName}'. Available: ${freshItem.quantity}, Requested: ${quantity}`
-        });
-      }
+    console.error('❌ Error rendering slip receipt:', err);
+    res.status(500).json({ error: 'Failed to render slip receipt', details: err.message });
+  }
+});
 
-      productUpdates.push({
-        itemId: freshItem._id,
-        quantity
+// GET /api/slips/:id/versions - Edit history, newest first (diffs only; fetch a version for its full snapshot)
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
       });
     }
 
-    // Helper function to calculate bulk discount
-    const calculateBulkDiscount = (coverType, quantity, basePrice) => {
-      // Bulk discount applies only to these cover types
-      const bulkDiscountTypes = [
-        'Aster Cover',
-        'Without Aster Cover',
-        'Calendar Cover'
-      ];
-      
-      if (bulkDiscountTypes.includes(coverType) && quantity >= 10) {
-        return 10; // 10 rupees discount per item
-      }
-      return 0;
-    };
+    const slip = await Slip.findById(req.params.id).select('slipNumber').lean();
+    const versions = await SlipVersion.find({ slipId: req.params.id })
+      .sort({ version: -1 })
+      .select('-snapshot')
+      .lean();
 
-    // Process products with pricing logic
-    const processedProducts = products.map((p, index) => {
-      try {
-        const productName = p.productName || p.itemName;
-        const quantity = parseInt(p.quantity) || 0;
-        const basePrice = parseFloat(p.basePrice) || parseFloat(p.unitPrice) || parseFloat(p.price) || 0;
-        const coverType = p.coverType || '';
-        const productType = p.productType || 'Cover';
-        
-        // Validate required fields
-        if (quantity <= 0) {
-          throw new Error(`Product ${index + 1}: Quantity must be greater than 0`);
-        }
-        if (basePrice < 0) {
-          throw new Error(`Product ${index + 1}: Base price cannot be negative`);
-        }
-        
-        // Calculate bulk discount if applicable
-        let discountAmount = 0;
-        let discountType = 'none';
-        
-        if (productType === 'Cover' && coverType) {
-          const bulkDiscount = calculateBulkDiscount(coverType, quantity, basePrice);
-          if (bulkDiscount > 0) {
-            discountAmount = bulkDiscount;
-            discountType = 'bulk';
-          }
-        }
-        
-        // Manual discount/override (if admin manually adjusted price)
-        const finalUnitPrice = p.unitPrice !== undefined ? parseFloat(p.unitPrice) : (basePrice - discountAmount);
-        
-        // If unitPrice was manually set, it's a manual override
-        if (p.unitPrice !== undefined && Math.abs(p.unitPrice - (basePrice - discountAmount)) > 0.01) {
-          discountType = 'manual';
-          discountAmount = Math.max(0, basePrice - finalUnitPrice);
-        }
-        
-        // Ensure finalUnitPrice is not negative
-        const safeUnitPrice = Math.max(0, finalUnitPrice);
-        const totalDiscount = discountAmount * quantity;
-        const totalPrice = quantity * safeUnitPrice;
-        
-        // Generate productName if not provided (from productType and other fields)
-        let finalProductName = productName;
-        if (!finalProductName || finalProductName.trim() === '') {
-          if (productType === 'Cover' && coverType) {
-            finalProductName = `${productType} - ${coverType}`;
-          } else if (productType === 'Plate' && p.plateType) {
-            finalProductName = `${productType} - ${p.plateType}${p.bikeName ? ` (${p.bikeName})` : ''}`;
-          } else if (productType === 'Form' && p.formVariant) {
-            finalProductName = `${productType} - ${p.formVariant}${p.formCompany ? ` (${p.formCompany})` : ''}`;
-          } else {
-            finalProductName = productType || 'Product';
-          }
-        }
-        
-        return {
-          productName: finalProductName,
-          productType,
-          coverType: coverType || '',
-          plateCompany: p.plateCompany || '',
-          bikeName: p.bikeName || '',
-          plateType: p.plateType || '',
-          formCompany: p.formCompany || '',
-          formType: p.formType || '',
-          formVariant: p.formVariant || '',
-          quantity,
-          basePrice: Math.max(0, basePrice),
-          unitPrice: safeUnitPrice,
-          discountAmount: totalDiscount,
-          discountType,
-          totalPrice,
-          category: p.category || '',
-          subcategory: p.subcategory || '',
-          company: p.company || ''
-        };
-      } catch (err) {
-        throw new Error(`Error processing product ${index + 1}: ${err.message}`);
-      }
+    // Deleted slips keep their history
+    if (!slip && versions.length === 0) return res.status(404).json({ error: 'Slip not found' });
+
+    res.json({
+      slipId: req.params.id,
+      slipNumber: slip ? slip.slipNumber : versions[0].slipNumber,
+      currentVersion: slip ? versions.length + 1 : null,
+      versions
     });
 
-    // Recalculate subtotal and totalAmount from processed products to avoid frontend calculation bugs
-    const computedSubtotal = processedProducts.reduce(
-      (sum, product) => sum + (parseFloat(product.totalPrice) || 0),
-      0
-    );
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid slip ID format' });
+    }
 
-    const validDiscount = Math.max(0, parseFloat(discount) || 0);
-    const computedTotalAmount = Math.max(0, computedSubtotal - validDiscount);
+    console.error('❌ Error fetching slip versions:', err);
+    res.status(500).json({ error: 'Failed to fetch slip versions', details: err.message });
+  }
+});
 
-    // Calculate customer balance for Udhar payments
-    let previousBalance = 0;
-    let currentBalance = 0;
-    let remainingBalance = 0;
-    const partialPaymentAmount = parseFloat(partialPayment) || 0;
-    
-    if (paymentMethod === 'Udhar' && customerName && customerName.trim() !== 'Walk Customer') {
-      // Calculate previous balance from all unpaid Udhar slips (totalAmount - discount - partialPayment)
-      const previousSlips = await Slip.find({
-        customerName: customerName.trim(),
-        paymentMethod: 'Udhar',
-        status: { $ne: 'Cancelled' }
-      }).session(session);
-      
-      previousBalance = previousSlips.reduce((sum, slip) => {
-        // Calculate remaining balance from each previous slip
-        const slipTotal = (slip.totalAmount || 0); // totalAmount is already after discount
-        const partialPaid = slip.partialPayment || 0;
-        return sum + Math.max(0, slipTotal - partialPaid);
-      }, 0);
-      
-      // Current bill amount (computedTotalAmount is already after discount)
-      const currentBillAmount = computedTotalAmount;
-      
-      // Remaining balance for this bill (after partial payment)
-      const currentRemaining = Math.max(0, currentBillAmount - partialPaymentAmount);
-      
-      // Total remaining balance = previous balance + current remaining
-      remainingBalance = previousBalance + currentRemaining;
-      currentBalance = previousBalance + currentBillAmount;
-    }
-
-    // create slip
-    const newSlip = new Slip({
-      customerName: customerName || 'Walk Customer',
-      customerPhone: customerPhone || '',
-      paymentMethod: paymentMethod || 'Cash',
-      products: processedProducts,
-      subtotal: computedSubtotal,
-      discount: validDiscount,
-      totalAmount: computedTotalAmount,
-      previousBalance: previousBalance,
-      currentBalance: currentBalance,
-      partialPayment: paymentMethod === 'Udhar' ? partialPaymentAmount : 0,
-      remainingBalance: paymentMethod === 'Udhar' ? remainingBalance : 0,
-      status: 'Paid'
-    });
+// GET /api/slips/:id/versions/:version - The slip as it was at that version (snapshot + the diff to the next one)
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    if (!version || version < 1) {
+      return res.status(400).json({ error: `Invalid version '${req.params.version}'` });
+    }
 
-    // reduce stock
-    for (const update of productUpdates) {
-      await Item.findByIdAndUpdate(
-        update.itemId,
-        { $inc: { quantity: -update.quantity }, lastUpdated: new Date() },
-        { session }
-      );
+    const slipVersion = await SlipVersion.findOne({ slipId: req.params.id, version }).lean();
+    if (!slipVersion) {
+      return res.status(404).json({
+        error: 'Slip version not found',
+        details: 'The latest version is the slip itself: GET /api/slips/:id'
+      });
     }
 
-    // Save slip first to get slipNumber (generated in pre-save hook)
-    await newSlip.save({ session });
+    res.json(slipVersion);
 
-    // Create income record with slipId reference
-    // Ensure all required fields are present and valid
-    const incomeProducts = processedProducts.map(p => {
-      // Ensure quantity, unitPrice, and totalPrice are valid numbers
-      const qty = parseInt(p.quantity) || 1;
-      const unitPrice = parseFloat(p.unitPrice) || parseFloat(p.basePrice) || 0;
-      const totalPrice = parseFloat(p.totalPrice) || (qty * unitPrice);
-      
-      // Validate product data
-      if (qty < 1) {
-        throw new Error(`Invalid quantity for product: ${p.productName || 'Unknown'}`);
-      }
-      if (unitPrice < 0) {
-        throw new Error(`Invalid unit price for product: ${p.productName || 'Unknown'}`);
-      }
-      if (totalPrice < 0) {
-        throw new Error(`Invalid total price for product: ${p.productName || 'Unknown'}`);
-      }
-      
-      return {
-        productName: (p.productName || 'Unknown Product').trim(),
-        productType: p.productType || 'Cover',
-        coverType: (p.coverType || '').trim(),
-        plateCompany: (p.plateCompany || '').trim(),
-        bikeName: (p.bikeName || '').trim(),
-        plateType: (p.plateType || '').trim(),
-        formCompany: (p.formCompany || '').trim(),
-        formType: (p.formType || '').trim(),
-        formVariant: (p.formVariant || '').trim(),
-        quantity: qty,
-        unitPrice: unitPrice,
-        totalPrice: totalPrice,
-        category: (p.category || '').trim(),
-        subcategory: (p.subcategory || '').trim(),
-        company: (p.company || '').trim()
-      };
-    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid slip ID format' });
+    }
 
-    // Validate total income
-    if (computedTotalAmount < 0) {
-      throw new Error('Total amount cannot be negative');
-    }
-
-    const incomeRecord = new Income({
-      date: new Date(),
-      totalIncome: computedTotalAmount,
-      productsSold: incomeProducts,
-      customerName: (newSlip.customerName || 'Walk Customer').trim(),
-      customerPhone: (newSlip.customerPhone || '').trim(),
-      paymentMethod: newSlip.paymentMethod || 'Cash',
-      slipNumber: (newSlip.slipNumber || newSlip._id.toString()).trim(),
-      slipId: newSlip._id,
-      notes: `Sale from slip ${newSlip.slipNumber || newSlip._id}`
-    });
+    console.error('❌ Error fetching slip version:', err);
+    res.status(500).json({ error: 'Failed to fetch slip version', details: err.message });
+  }
+});
+
+// CREATE slip + update inventory (allowBackorder: true sells a stock shortfall as a backorder)
+router.post('/', async (req, res) => {
+  try {
+    // Ensure MongoDB connection
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({ 
+        error: 'Database connection unavailable', 
+        details: 'Please try again in a moment' 
+      });
+    }
+
+    // Check if req.body exists
+    if (!req.body || Object.keys(req.body).length === 0) {
+      return res.status(400).json({ 
+        error: 'Request body is empty or not parsed. Make sure Content-Type is application/json' 
+      });
+    }
 
-    // Validate income record before saving
-    const incomeValidationError = incomeRecord.validateSync();
-    if (incomeValidationError) {
-      throw new Error(`Income validation failed: ${incomeValidationError.message}`);
+    // A retried request with the same Idempotency-Key gets the slip it created the first time
+    const idempotencyKey = getIdempotencyKey(req);
+    if (idempotencyKey) {
+      const previous = await findIdempotentRequest('slips', idempotencyKey, req.body);
+      if (previous) {
+        const slip = await Slip.findById(previous.documentId);
+        if (!slip) {
+          return res.status(410).json({
+            error: 'The slip created by this Idempotency-Key no longer exists',
+            details: `Slip ${previous.documentId} was deleted`
+          });
+        }
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(previous.statusCode || 201).json({
+          message: 'Slip created successfully',
+          slip
+        });
+      }
     }
+    const newSlip = await runInTransaction(async (session) => {
+      const idempotencyRecord = idempotencyKey
+        ? await claimIdempotencyKey('slips', idempotencyKey, req.body, session)
+        : null;
 
-    await incomeRecord.save({ session });
+      const slip = await checkoutSlip(req.body, session);
 
-    await session.commitTransaction();
-    session.endSession();
+      if (idempotencyRecord) {
+        await completeIdempotencyKey(idempotencyRecord, { statusCode: 201, documentId: slip._id }, session);
+      }
+      return slip;
+    });
 
     res.status(201).json({
       message: 'Slip created successfully',
@@ -671,8 +863,10 @@ router.post('/', async (req, res) => {
     });
 
   } catch (err) {
-    await session.abortTransaction();
-    session.endSession();
+    // Request problems (missing product, insufficient stock) carry their own status
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
     
     console.error('❌ Error creating slip:', err);
     console.error('❌ Error name:', err.name);
@@ -709,6 +903,100 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Most slips accepted in one POST /api/slips/sync call
+const MAX_SYNC_BATCH = 200;
+
+// Checks one offline slip and returns its timestamp, or throws a 400 with the reason
+const offlineSlipDate = (entry) => {
+  if (!entry || typeof entry !== 'object') throw httpError(400, 'Slip must be an object');
+  if (!entry.clientId || !String(entry.clientId).trim()) throw httpError(400, 'clientId is required');
+
+  const date = new Date(entry.timestamp);
+  if (!entry.timestamp || isNaN(date)) {
+    throw httpError(400, `Invalid timestamp '${entry.timestamp}'`);
+  }
+  // A POS clock running ahead must not date a sale in the future
+  return date > new Date() ? new Date() : date;
+};
+
+/**
+ * POST /api/slips/sync
+ * Body: { slips: [{ clientId, timestamp, ...same fields as POST /api/slips }] }
+ * Replays slips the POS queued while offline, oldest timestamp first, each in its own
+ * transaction through the normal checkout. Returns one result per slip:
+ * 'created' (with the slip), 'duplicate' (clientId already synced) or 'rejected' (with the reason).
+ * Rejected slips marked retryable failed for a server reason and can be sent again as they are.
+ */
+router.post('/sync', async (req, res) => {
+  try {
+    const isConnected = await ensureConnection();
+    if (!isConnected) {
+      return res.status(503).json({
+        error: 'Database connection unavailable',
+        details: 'Please try again in a moment'
+      });
+    }
+
+    const { slips } = req.body || {};
+    if (!Array.isArray(slips) || slips.length === 0) {
+      return res.status(400).json({ error: 'slips must be a non-empty array' });
+    }
+    if (slips.length > MAX_SYNC_BATCH) {
+      return res.status(400).json({ error: `At most ${MAX_SYNC_BATCH} slips can be synced per request` });
+    }
+
+    // Array.sort is stable, so slips with the same timestamp keep the order they were queued in
+    const queue = slips
+      .map((entry, index) => ({ entry, index, time: new Date(entry && entry.timestamp).getTime() || 0 }))
+      .sort((a, b) => a.time - b.time);
+
+    const results = [];
+    for (const { entry, index } of queue) {
+      const clientId = entry && entry.clientId ? String(entry.clientId).trim() : null;
+      const result = { index, clientId };
+
+      try {
+        const date = offlineSlipDate(entry);
+
+        const { existing, slip } = await runInTransaction(async (session) => {
+          const synced = await Slip.findOne({ clientId }).select('_id slipNumber').session(session);
+          if (synced) return { existing: synced };
+          return { slip: await checkoutSlip(entry, session, new Slip({ clientId, date })) };
+        });
+
+        if (existing) {
+          results.push({ ...result, status: 'duplicate', slipId: existing._id, slipNumber: existing.slipNumber });
+        } else {
+          results.push({ ...result, status: 'created', slipId: slip._id, slipNumber: slip.slipNumber, slip });
+        }
+      } catch (err) {
+        if (err.code === 11000 && err.keyPattern && err.keyPattern.clientId) {
+          // Synced by a concurrent request after the duplicate check
+          const existing = await Slip.findOne({ clientId }).select('_id slipNumber');
+          results.push({ ...result, status: 'duplicate', slipId: existing && existing._id, slipNumber: existing && existing.slipNumber });
+        } else if (err.status) {
+          results.push({ ...result, status: 'rejected', reason: err.message, details: err.details, retryable: false });
+        } else if (err.name === 'ValidationError') {
+          results.push({ ...result, status: 'rejected', reason: err.message, retryable: false });
+        } else {
+          console.error(`❌ Error syncing offline slip ${clientId}:`, err);
+          results.push({ ...result, status: 'rejected', reason: err.message, retryable: true });
+        }
+      }
+    }
+
+    const summary = { created: 0, duplicate: 0, rejected: 0 };
+    results.forEach(r => { summary[r.status]++; });
+
+    console.log(`✅ Offline sync: ${summary.created} created, ${summary.duplicate} duplicate, ${summary.rejected} rejected`);
+
+    res.json({ message: 'Offline slips processed', summary, results });
+  } catch (err) {
+    console.error('❌ Error syncing offline slips:', err);
+    res.status(500).json({ error: 'Failed to sync offline slips', details: err.message });
+  }
+});
+
 // UPDATE slip with inventory adjustment
 router.put('/:id', async (req, res) => {
   const session = await Slip.startSession();
@@ -741,243 +1029,170 @@ router.put('/:id', async (req, res) => {
       totalAmount, 
       discount,
       partialPayment,
+      payments,
       status 
     } = req.body;
 
+    // Parked slips are edited and finalized through /api/slips/parked/:id
+    if (existingSlip.status === 'Pending' || status === 'Pending') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        error: 'Parked slips cannot be updated here',
+        details: 'Use PUT /api/slips/parked/:id to edit and POST /api/slips/parked/:id/finalize to complete it'
+      });
+    }
+
+    // Lines with returns against them are fixed; re-pricing them would desync the credit notes
+    if (products && Array.isArray(products) && (existingSlip.returnedAmount || 0) > 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        error: 'Products cannot be edited on a slip that has returns',
+        details: 'Record further changes as a return instead'
+      });
+    }
+
+    // Backordered lines are owed to the customer as sold; fulfil or cancel the backorders first
+    if (products && Array.isArray(products) && existingSlip.products.some(p => p.backorderQuantity > 0)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        error: 'Products cannot be edited on a slip with pending backorders',
+        details: 'Fulfil the backorders through /api/backorders first'
+      });
+    }
+
     // If products are being updated, adjust inventory
+    let productUpdates = null;
     if (products && Array.isArray(products)) {
-      // First, restore original quantities to inventory
+      // First, restore original quantities to the items the lines were sold from
       if (existingSlip.products && existingSlip.products.length > 0) {
         for (const oldProduct of existingSlip.products) {
-          const productName = oldProduct.productName;
-          const oldQuantity = oldProduct.quantity;
-
-          const inventoryItem = await Item.findOne({
-            $or: [
-              { name: { $regex: new RegExp(productName, 'i') } },
-              { sku: { $regex: new RegExp(productName, 'i') } }
-            ],
-            isActive: true
-          }).session(session);
-
-          if (inventoryItem) {
-            // Restore the old quantity
-            await Item.findByIdAndUpdate(
-              inventoryItem._id,
-              { $inc: { quantity: oldQuantity }, lastUpdated: new Date() },
-              { session }
-            );
-          }
+          await restoreStock(oldProduct, oldProduct.quantity, session);
         }
       }
 
       // Now, validate and reduce inventory for new quantities
-      const productUpdates = [];
-      for (const p of products) {
-        const productName = p.productName || p.itemName;
-        const quantity = p.quantity;
-
-        if (!productName || !quantity || quantity <= 0) {
-          await session.abortTransaction();
-          session.endSession();
-          return res.status(400).json({ error: 'Invalid product data' });
-        }
-
-        const inventoryItem = await Item.findOne({
-          $and: [
-            {
-              $or: [
-                { name: { $regex: new RegExp(`^${productName.trim()}$`, 'i') } },
-                { sku: { $regex: new RegExp(`^${productName.trim()}$`, 'i') } }
-              ]
-            },
-            {
-              $or: [{ isActive: true }, { isActive: { $exists: false } }]
-            }
-          ]
-        }).session(session);
-
-        if (!inventoryItem) {
-          await session.abortTransaction();
-          session.endSession();
-          return res.status(400).json({ error: `Product '${productName}' not found in inventory` });
-        }
-
-        // Refresh the item from database to get latest quantity (after restoring old stock)
-        const freshItem = await Item.findById(inventoryItem._id).session(session);
-        if (!freshItem) {
-          await session.abortTransaction();
-          session.endSession();
-          return res.status(400).json({ error: `Product '${productName}' was found but could not be retrieved` });
-        }
-
-        // Check if we have enough stock (considering we already restored old quantity)
-        const currentStock = freshItem.quantity;
-        if (currentStock < quantity) {
-          await session.abortTransaction();
-          session.endSession();
-          return res.status(400).json({
-            error: `Insufficient stock for '${productName}'. Available: ${currentStock}, Requested: ${quantity}`
-          });
-        }
-
-        productUpdates.push({
-          itemId: inventoryItem._id,
-          quantity
-        });
-      }
-
-      // Reduce stock for new quantities
-      for (const update of productUpdates) {
-        await Item.findByIdAndUpdate(
-          update.itemId,
-          { $inc: { quantity: -update.quantity }, lastUpdated: new Date() },
-          { session }
-        );
-      }
+      productUpdates = await checkStock(products, session);
+      await deductStock(productUpdates, session);
     }
 
     // Update slip with all fields
     const updateData = {};
     
-    // Calculate customer balance for Udhar payments if payment method or customer changed
-    let previousBalance = existingSlip.previousBalance || 0;
-    let currentBalance = existingSlip.currentBalance || 0;
-    let remainingBalance = existingSlip.remainingBalance || 0;
-    
-    if ((paymentMethod === 'Udhar' || existingSlip.paymentMethod === 'Udhar') && customerName && customerName.trim() !== 'Walk Customer') {
-      const customerNameToUse = customerName || existingSlip.customerName;
-      // Calculate previous balance from all unpaid Udhar slips (excluding current slip)
-      const previousSlips = await Slip.find({
-        customerName: customerNameToUse.trim(),
-        paymentMethod: 'Udhar',
-        status: { $ne: 'Cancelled' },
-        _id: { $ne: existingSlip._id }
-      }).session(session);
-      
-      previousBalance = previousSlips.reduce((sum, slip) => {
-        // Calculate remaining balance from each previous slip
-        const slipTotal = (slip.totalAmount || 0); // totalAmount is already after discount
-        const partialPaid = slip.partialPayment || 0;
-        return sum + Math.max(0, slipTotal - partialPaid);
-      }, 0);
-      
-      // Current balance = previous balance + current slip amount (after discount)
-      const finalTotal =
-        updateData.totalAmount !== undefined
-          ? updateData.totalAmount
-          : (totalAmount !== undefined ? parseFloat(totalAmount) : existingSlip.totalAmount);
-      const partialPaymentAmount = parseFloat(partialPayment) !== undefined ? parseFloat(partialPayment) : (existingSlip.partialPayment || 0);
-      currentBalance = previousBalance + finalTotal;
-      
-      // Calculate remaining balance
-      const currentRemaining = Math.max(0, finalTotal - partialPaymentAmount);
-      remainingBalance = previousBalance + currentRemaining;
-      
-      updateData.partialPayment = paymentMethod === 'Udhar' ? partialPaymentAmount : 0;
-      updateData.remainingBalance = paymentMethod === 'Udhar' ? remainingBalance : 0;
-    } else {
-      // If not Udhar, reset these fields
-      updateData.partialPayment = 0;
-      updateData.remainingBalance = 0;
-    }
     if (customerName !== undefined) updateData.customerName = customerName;
     if (customerPhone !== undefined) updateData.customerPhone = customerPhone;
-    if (paymentMethod !== undefined) updateData.paymentMethod = paymentMethod;
     if (notes !== undefined) updateData.notes = notes;
     // subtotal/totalAmount/discount will be recalculated below when products or discount change
     if (status !== undefined) updateData.status = status;
-    updateData.previousBalance = previousBalance;
-    updateData.currentBalance = currentBalance;
-    // remainingBalance and partialPayment already set above
-    // Helper function for bulk discount (same as in POST)
-    const calculateBulkDiscount = (coverType, quantity, basePrice) => {
-      const bulkDiscountTypes = [
-        'Aster Cover',
-        'Without Aster Cover',
-        'Calendar Cover'
-      ];
-      
-      if (bulkDiscountTypes.includes(coverType) && quantity >= 10) {
-        return 10;
-      }
-      return 0;
-    };
 
     if (products !== undefined) {
-      updateData.products = products.map(p => {
-        // Generate productName if not provided
-        let productName = p.productName || p.itemName;
-        if (!productName || productName.trim() === '') {
-          const productType = p.productType || 'Cover';
-          if (productType === 'Cover' && p.coverType) {
-            productName = `${productType} - ${p.coverType}`;
-          } else if (productType === 'Plate' && p.plateType) {
-            productName = `${productType} - ${p.plateType}${p.bikeName ? ` (${p.bikeName})` : ''}`;
-          } else if (productType === 'Form' && p.formVariant) {
-            productName = `${productType} - ${p.formVariant}${p.formCompany ? ` (${p.formCompany})` : ''}`;
-          } else {
-            productName = productType || 'Product';
-          }
-        }
-        
-        const quantity = p.quantity;
-        const basePrice = p.basePrice || p.unitPrice || p.price || 0;
-        const coverType = p.coverType || '';
-        const productType = p.productType || 'Cover';
-        
-        // Calculate bulk discount if applicable
-        let discountAmount = 0;
-        let discountType = 'none';
-        
-        if (productType === 'Cover' && coverType) {
-          const bulkDiscount = calculateBulkDiscount(coverType, quantity, basePrice);
-          if (bulkDiscount > 0) {
-            discountAmount = bulkDiscount;
-            discountType = 'bulk';
-          }
-        }
-        
-        // Manual discount/override
-        const finalUnitPrice = p.unitPrice !== undefined ? p.unitPrice : (basePrice - discountAmount);
-        
-        if (p.unitPrice !== undefined && p.unitPrice !== (basePrice - discountAmount)) {
-          discountType = 'manual';
-          discountAmount = basePrice - finalUnitPrice;
+      // Same pricing as POST: the customer's price list and the rules in force now
+      // Priced for the customer the slip will be linked to below
+      let pricedFor = { customerId: existingSlip.customerId, customerName: existingSlip.customerName };
+      if (req.body.customerId !== undefined) {
+        pricedFor = { customerId: req.body.customerId, customerName: customerName !== undefined ? customerName : existingSlip.customerName };
+      } else if (customerName !== undefined) {
+        pricedFor = { customerName };
+      }
+      updateData.products = await priceProductsForCustomer(products, pricedFor, session);
+      if (productUpdates) {
+        updateData.products = linkInventoryItems(updateData.products, productUpdates);
+      }
+
+      let promotionLines = null;
+      // The promotion redeemed at checkout stays on the slip and is re-applied to the edited lines
+      if (existingSlip.promotionId) {
+        const promotion = await Promotion.findById(existingSlip.promotionId).session(session).lean();
+        if (promotion) {
+          const applied = applyPromotion(promotion, updateData.products);
+          updateData.products = applied.products;
+          updateData.promotionDiscount = applied.discountAmount;
+          promotionLines = applied.lines;
         }
-        
-        return {
-          productName,
-          productType,
-          coverType,
-          plateCompany: p.plateCompany || '',
-          bikeName: p.bikeName || '',
-          plateType: p.plateType || '',
-          quantity,
-          basePrice,
-          unitPrice: finalUnitPrice,
-          discountAmount: discountAmount * quantity,
-          discountType,
-          totalPrice: quantity * finalUnitPrice,
-          category: p.category || '',
-          subcategory: p.subcategory || '',
-          company: p.company || ''
-        };
-      });
+      }
 
-      // Recalculate subtotal and totalAmount based on updated products and discount
-      const recalculatedSubtotal = updateData.products.reduce(
-        (sum, product) => sum + (parseFloat(product.totalPrice) || 0),
-        0
+      const totals = calculateTotals(
+        updateData.products,
+        discount !== undefined ? discount : existingSlip.discount
       );
+      updateData.subtotal = totals.subtotal;
+      updateData.discount = totals.discount;
+      updateData.totalAmount = totals.totalAmount;
+
+      if (promotionLines) {
+        await PromotionRedemption.updateOne(
+          { slipId: existingSlip._id, reversedAt: null },
+          { $set: { lines: promotionLines, discountAmount: updateData.promotionDiscount, slipTotal: totals.totalAmount } },
+          { session }
+        );
+      }
+    }
 
-      const effectiveDiscount =
-        discount !== undefined ? Math.max(0, parseFloat(discount) || 0) : (existingSlip.discount || 0);
-      const recalculatedTotalAmount = Math.max(0, recalculatedSubtotal - effectiveDiscount);
+    const finalTotal = updateData.totalAmount !== undefined ? updateData.totalAmount : existingSlip.totalAmount;
 
-      updateData.subtotal = recalculatedSubtotal;
-      updateData.discount = effectiveDiscount;
-      updateData.totalAmount = recalculatedTotalAmount;
+    // Re-split the payments when they, the payment method or the total change.
+    // A split slip keeps its tenders only while they still add up to the total.
+    const paymentChanged = payments !== undefined || paymentMethod !== undefined || partialPayment !== undefined;
+    let payment = {
+      payments: existingSlip.payments,
+      paymentMethod: existingSlip.paymentMethod,
+      partialPayment: existingSlip.partialPayment || 0
+    };
+    if (paymentChanged || finalTotal !== existingSlip.totalAmount) {
+      const keepPayments = payments === undefined && paymentMethod === undefined && partialPayment === undefined;
+      payment = resolvePayments({
+        payments: keepPayments && existingSlip.payments.length > 1 ? existingSlip.payments.map(p => p.toObject()) : payments,
+        paymentMethod: paymentMethod !== undefined ? paymentMethod : existingSlip.paymentMethod,
+        partialPayment: partialPayment !== undefined ? partialPayment : existingSlip.partialPayment
+      }, finalTotal);
+    }
+    updateData.payments = payment.payments;
+    updateData.paymentMethod = payment.paymentMethod;
+
+    // A new customerId or name re-links the slip; slips from before customers existed are linked on their first edit
+    const customer = req.body.customerId !== undefined || customerName !== undefined || !existingSlip.customerId
+      ? await resolveCustomer({
+        customerId: req.body.customerId,
+        customerName: customerName !== undefined ? customerName : existingSlip.customerName,
+        customerPhone: customerPhone !== undefined ? customerPhone : existingSlip.customerPhone
+      }, session)
+      : await Customer.findById(existingSlip.customerId).session(session);
+    updateData.customerId = customer ? customer._id : null;
+
+    // The promotion use moves with the slip, so it counts against the customer it is now linked to
+    if (existingSlip.promotionId && String(existingSlip.customerId) !== String(updateData.customerId)) {
+      await PromotionRedemption.updateOne(
+        { slipId: existingSlip._id, reversedAt: null },
+        { $set: { customerId: updateData.customerId, customerName: customerName !== undefined ? customerName : existingSlip.customerName } },
+        { session }
+      );
+    }
+
+    // Customer balance for Udhar slips (previous balance excludes what this slip already put on the ledger)
+    if (payment.paymentMethod === 'Udhar' && customer) {
+      const ownShare = String(existingSlip.customerId) === String(customer._id) ? slipBalance(existingSlip) : 0;
+      const previousBalance = Math.round((customer.balance - ownShare) * 100) / 100;
+      const currentRemaining = Math.max(0, finalTotal - payment.partialPayment - (existingSlip.collectedAmount || 0) - (existingSlip.returnedAmount || 0));
+
+      // Only an edit that puts more of this slip on credit is held to the limit
+      if (currentRemaining > ownShare) {
+        updateData.creditLimitOverride = assertWithinCreditLimit(customer, {
+          previousBalance,
+          billCredit: currentRemaining,
+          override: !!req.body.overrideCreditLimit
+        }) || existingSlip.creditLimitOverride;
+      }
+
+      updateData.previousBalance = previousBalance;
+      updateData.currentBalance = previousBalance + finalTotal;
+      updateData.partialPayment = payment.partialPayment;
+      updateData.remainingBalance = previousBalance + currentRemaining;
+    } else {
+      // If not Udhar, reset these fields
+      updateData.partialPayment = 0;
+      updateData.remainingBalance = 0;
     }
     // Handle cancellation with full synchronization
     if (status === 'Cancelled') {
@@ -991,6 +1206,13 @@ router.put('/:id', async (req, res) => {
         });
       }
 
+      const collectedError = collectedPaymentError(existingSlip, 'cancelled');
+      if (collectedError) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(409).json(collectedError);
+      }
+
       // Only process cancellation if slip is not already cancelled
       if (existingSlip.status !== 'Cancelled') {
         updateData.cancelledAt = new Date();
@@ -1015,33 +1237,21 @@ router.put('/:id', async (req, res) => {
 
         console.log(`✅ Marked ${incomeUpdateResult.modifiedCount} income record(s) as inactive for cancelled slip ${existingSlip.slipNumber || existingSlip._id}`);
 
+        await reversePromotionRedemption(existingSlip._id, session);
+        await cancelSlipBackorders(existingSlip._id, session);
+
         // Restore inventory quantities for cancelled slip
         if (existingSlip.products && existingSlip.products.length > 0) {
           let restoredCount = 0;
           for (const product of existingSlip.products) {
             const productName = product.productName;
-            const quantity = product.quantity || 0;
+            // Units already brought back through returns were restocked then; backordered units never left stock
+            const quantity = (product.quantity || 0) - (product.returnedQuantity || 0) - (product.backorderQuantity || 0);
 
             if (!productName || quantity <= 0) continue;
 
-            const inventoryItem = await Item.findOne({
-              $or: [
-                { name: { $regex: new RegExp(`^${productName}$`, 'i') } },
-                { sku: { $regex: new RegExp(`^${productName}$`, 'i') } }
-              ],
-              isActive: { $ne: false }
-            }).session(session);
-
-            if (inventoryItem) {
-              // Restore the quantity back to inventory
-              await Item.findByIdAndUpdate(
-                inventoryItem._id,
-                { 
-                  $inc: { quantity: quantity }, 
-                  lastUpdated: new Date() 
-                },
-                { session }
-              );
+            const restored = await restoreStock(product, quantity, session);
+            if (restored) {
               restoredCount++;
               console.log(`✅ Restored ${quantity} units of ${productName} to inventory`);
             } else {
@@ -1059,9 +1269,19 @@ router.put('/:id', async (req, res) => {
       { new: true, runValidators: true, session }
     );
 
-    // If products changed and slip is not cancelled, update income record
-    if (products && Array.isArray(products) && status !== 'Cancelled' && existingSlip.status !== 'Cancelled') {
-      const finalProducts = updateData.products || products.map(p => ({
+    await recordSlipBalanceChange(existingSlip, updatedSlip, status === 'Cancelled' ? 'Cancellation' : 'Edit', session);
+
+    // Keep the bill as it was before this edit
+    await recordSlipVersion(existingSlip.toObject(), updatedSlip.toObject(), {
+      action: status === 'Cancelled' && existingSlip.status !== 'Cancelled' ? 'cancel' : 'update',
+      changedBy: changedByFrom(req),
+      reason: req.body.reason || ''
+    }, session);
+
+    // If products or payments changed and slip is not cancelled, update income record
+    const productsChanged = products && Array.isArray(products);
+    if ((productsChanged || paymentChanged) && status !== 'Cancelled' && existingSlip.status !== 'Cancelled') {
+      const finalProducts = productsChanged && (updateData.products || products.map(p => ({
         productName: p.productName || p.itemName,
         sku: p.sku || '',
         productType: p.productType || 'Cover',
@@ -1078,24 +1298,28 @@ router.put('/:id', async (req, res) => {
         category: p.category || '',
         subcategory: p.subcategory || '',
         company: p.company || ''
-      }));
+      })));
 
       const incomeUpdate = {
         $set: {
-          totalIncome: totalAmount || updatedSlip.totalAmount,
-          productsSold: finalProducts,
+          totalIncome: updatedSlip.totalAmount,
           customerName: customerName || updatedSlip.customerName,
-          paymentMethod: paymentMethod || updatedSlip.paymentMethod,
+          customerPhone: updatedSlip.customerPhone || '',
+          paymentMethod: updatedSlip.paymentMethod,
+          payments: updatedSlip.payments,
           notes: notes !== undefined ? notes : existingSlip.notes || ''
         }
       };
+      if (finalProducts) incomeUpdate.$set.productsSold = finalProducts;
 
+      // Return entries carry their own (negative) amounts and are left alone
       const incomeUpdateResult = await Income.updateMany(
         { 
           $or: [
             { slipId: existingSlip._id },
             { slipNumber: existingSlip.slipNumber }
           ],
+          entryType: { $ne: 'Return' },
           isActive: true
         },
         incomeUpdate,
@@ -1113,6 +1337,9 @@ router.put('/:id', async (req, res) => {
   } catch (err) {
     await session.abortTransaction();
     session.endSession();
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
     console.error('❌ Error updating slip:', err);
     res.status(500).json({ error: 'Failed to update slip', details: err.message });
   }
@@ -1131,57 +1358,25 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Slip not found' });
     }
 
-    // Restore inventory quantities
+    const collectedError = collectedPaymentError(slip, 'deleted');
+    if (collectedError) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json(collectedError);
+    }
+
+    // Restore inventory quantities (parked slips never took any stock)
     let restoredCount = 0;
-    if (slip.products && slip.products.length > 0) {
+    if (slip.status !== 'Pending' && slip.products && slip.products.length > 0) {
       for (const product of slip.products) {
         const productName = product.productName;
-        const quantity = product.quantity || 0;
+        // Units already brought back through returns were restocked then; backordered units never left stock
+        const quantity = (product.quantity || 0) - (product.returnedQuantity || 0) - (product.backorderQuantity || 0);
 
         if (!productName || quantity <= 0) continue;
 
-        // Try to find product by name or attributes
-        let inventoryItem = await Item.findOne({
-          $or: [
-            { name: { $regex: new RegExp(`^${productName}$`, 'i') } },
-            { sku: { $regex: new RegExp(`^${productName}$`, 'i') } }
-          ],
-          isActive: { $ne: false }
-        }).session(session);
-
-        // If not found by name, try by attributes
-        if (!inventoryItem && product.productType) {
-          const query = {
-            productType: product.productType || 'Cover',
-            isActive: { $ne: false }
-          };
-
-          if (product.productType === 'Cover' && product.coverType) {
-            query.coverType = product.coverType;
-          } else if (product.productType === 'Plate') {
-            if (product.bikeName) query.bikeName = product.bikeName;
-            if (product.plateCompany) query.plateCompany = product.plateCompany;
-            if (product.plateType) query.plateType = product.plateType;
-          } else if (product.productType === 'Form') {
-            if (product.formCompany) query.formCompany = product.formCompany;
-            if (product.formType) query.formType = product.formType;
-            if (product.formVariant) query.formVariant = product.formVariant;
-            if (product.bikeName) query.bikeName = product.bikeName;
-          }
-
-          inventoryItem = await Item.findOne(query).session(session);
-        }
-
-        if (inventoryItem) {
-          // Restore the quantity back to inventory
-          await Item.findByIdAndUpdate(
-            inventoryItem._id,
-            { 
-              $inc: { quantity: quantity }, 
-              lastUpdated: new Date() 
-            },
-            { session }
-          );
+        const restored = await restoreStock(product, quantity, session);
+        if (restored) {
           restoredCount++;
           console.log(`✅ Restored ${quantity} units of ${productName} to inventory`);
         } else {
@@ -1210,7 +1405,16 @@ router.delete('/:id', async (req, res) => {
 
     console.log(`✅ Marked ${incomeUpdateResult.modifiedCount} income record(s) as inactive for deleted slip ${slip.slipNumber || slip._id}`);
 
-    // Delete the slip
+    await reversePromotionRedemption(slip._id, session);
+    await cancelSlipBackorders(slip._id, session);
+    await recordSlipBalanceChange(slip, null, 'Cancellation', session, { note: `Slip ${slip.slipNumber || slip._id} deleted` });
+
+    // Delete the slip; its last state stays in the version history
+    await recordSlipVersion(slip.toObject(), null, {
+      action: 'delete',
+      changedBy: changedByFrom(req),
+      reason: (req.body && req.body.reason) || ''
+    }, session);
     await Slip.findByIdAndDelete(req.params.id).session(session);
 
     await session.commitTransaction();
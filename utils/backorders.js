@@ -0,0 +1,108 @@
+const Backorder = require('../models/backorders');
+const Item = require('../models/items');
+const { updateSlipWithVersion } = require('./slipVersions');
+
+// One backorder per slip line that was sold beyond stock. Returns the backorders created.
+const createBackorders = async (slip, session = null) => {
+  const backorders = [];
+  slip.products.forEach((line, lineIndex) => {
+    if (!(line.backorderQuantity > 0)) return;
+    backorders.push({
+      slipId: slip._id,
+      slipNumber: slip.slipNumber || '',
+      lineIndex,
+      customerName: slip.customerName || '',
+      customerPhone: slip.customerPhone || '',
+      itemId: line.itemId,
+      sku: line.sku || '',
+      productName: line.productName || '',
+      productType: line.productType || '',
+      components: (line.components || []).map(c => ({ itemId: c.itemId, name: c.name, quantity: c.quantity })),
+      quantity: line.backorderQuantity
+    });
+  });
+
+  if (backorders.length === 0) return [];
+  return Backorder.insertMany(backorders, { session });
+};
+
+/**
+ * Hand over pending backorders from stock, oldest first, as far as stock allows.
+ * `itemId` limits it to backorders for that item or for bundles containing it; `backorderId` to one
+ * backorder; `quantity` caps the units handed over per backorder.
+ * Each delivery takes the stock, shrinks the slip line's backorderQuantity (versioned, by `changedBy`)
+ * and is logged on the backorder. Returns [{ backorderId, slipNumber, customerName, productName, quantity, status }].
+ */
+const fulfilBackorders = async ({ itemId = null, backorderId = null, quantity = null, note = '', changedBy = 'unknown' } = {}, session = null) => {
+  const filter = { status: 'Pending' };
+  if (backorderId) filter._id = backorderId;
+  if (itemId) filter.$or = [{ itemId }, { 'components.itemId': itemId }];
+
+  const pending = await Backorder.find(filter).sort({ createdAt: 1 }).session(session);
+  const delivered = [];
+
+  for (const backorder of pending) {
+    const parts = backorder.components.length > 0
+      ? backorder.components.map(c => ({ itemId: c.itemId, perUnit: c.quantity }))
+      : [{ itemId: backorder.itemId, perUnit: 1 }];
+
+    let units = backorder.quantity - backorder.fulfilledQuantity;
+    if (quantity) units = Math.min(units, quantity);
+    for (const part of parts) {
+      const item = await Item.findById(part.itemId).session(session);
+      const canServe = item && item.isActive !== false ? Math.floor(Math.max(0, item.quantity) / part.perUnit) : 0;
+      units = Math.min(units, canServe);
+    }
+    if (units <= 0) continue;
+
+    for (const part of parts) {
+      await Item.findByIdAndUpdate(
+        part.itemId,
+        { $inc: { quantity: -part.perUnit * units }, lastUpdated: new Date() },
+        { session }
+      );
+    }
+
+    backorder.fulfilledQuantity += units;
+    backorder.fulfilments.push({ quantity: units, date: new Date(), note });
+    if (backorder.fulfilledQuantity >= backorder.quantity) {
+      backorder.status = 'Fulfilled';
+      backorder.fulfilledAt = new Date();
+    }
+    await backorder.save({ session });
+
+    await updateSlipWithVersion(
+      backorder.slipId,
+      { $inc: { [`products.${backorder.lineIndex}.backorderQuantity`]: -units } },
+      { action: 'backorder', changedBy, reason: `${units} x ${backorder.productName} handed over` },
+      session
+    );
+
+    delivered.push({
+      backorderId: backorder._id,
+      slipNumber: backorder.slipNumber,
+      customerName: backorder.customerName,
+      productName: backorder.productName,
+      quantity: units,
+      status: backorder.status
+    });
+  }
+
+  return delivered;
+};
+
+// Close a cancelled or deleted slip's open backorders; the units never left stock, so nothing is restocked
+const cancelSlipBackorders = async (slipId, session = null) => {
+  const result = await Backorder.updateMany(
+    { slipId, status: 'Pending' },
+    { $set: { status: 'Cancelled', cancelledAt: new Date() } },
+    { session }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createBackorders,
+  fulfilBackorders,
+  cancelSlipBackorders
+};
@@ -0,0 +1,138 @@
+const Slip = require('../models/slips');
+const Return = require('../models/returns');
+const UdharCollection = require('../models/udharCollections');
+const CustomerLedgerEntry = require('../models/customerLedger');
+const { slipOutstanding } = require('./udhar');
+const { updateSlipWithVersion } = require('./slipVersions');
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const SLIP_BALANCE_FIELDS = ['previousBalance', 'currentBalance', 'remainingBalance'];
+const COLLECTION_BALANCE_FIELDS = ['previousBalance', 'balanceAfter'];
+
+// Same-instant events are replayed sales first, then credits
+const EVENT_ORDER = { slip: 0, return: 1, collection: 2, adjustment: 3 };
+
+/**
+ * Replay a customer's history in date order and work out the balance fields each document should hold.
+ * Udhar slips add what was left on credit at the till (totalAmount less partialPayment); return credits,
+ * collections and manual adjustments move the running balance on their own dates. Other completed
+ * slips carry zero balances, as checkout gives them.
+ * Returns { slips: [{ slip, expected }], collections: [{ collection, expected }], closingBalance }.
+ */
+const replayBalanceChain = ({ slips = [], returns = [], collections = [], adjustments = [] }) => {
+  const events = [
+    ...slips.map(doc => ({ kind: 'slip', date: doc.date, doc })),
+    ...returns.map(doc => ({ kind: 'return', date: doc.date, doc })),
+    ...collections.map(doc => ({ kind: 'collection', date: doc.date, doc })),
+    ...adjustments.map(doc => ({ kind: 'adjustment', date: doc.date, doc }))
+  ].sort((a, b) => (new Date(a.date) - new Date(b.date)) || (EVENT_ORDER[a.kind] - EVENT_ORDER[b.kind]));
+
+  const result = { slips: [], collections: [], closingBalance: 0 };
+  let running = 0;
+
+  for (const { kind, doc } of events) {
+    if (kind === 'slip') {
+      if (doc.paymentMethod !== 'Udhar') {
+        result.slips.push({ slip: doc, expected: { previousBalance: 0, currentBalance: 0, remainingBalance: 0 } });
+        continue;
+      }
+      // remainingBalance follows the slip's later collections and returns, as PUT /api/slips/:id writes it
+      result.slips.push({
+        slip: doc,
+        expected: {
+          previousBalance: roundAmount(running),
+          currentBalance: roundAmount(running + (doc.totalAmount || 0)),
+          remainingBalance: roundAmount(running + slipOutstanding(doc))
+        }
+      });
+      running += Math.max(0, (doc.totalAmount || 0) - (doc.partialPayment || 0));
+    } else if (kind === 'collection') {
+      const previousBalance = roundAmount(running);
+      running -= doc.amount || 0;
+      result.collections.push({ collection: doc, expected: { previousBalance, balanceAfter: roundAmount(running) } });
+    } else if (kind === 'return') {
+      running -= doc.udharCredit || 0;
+    } else {
+      running += doc.amount || 0;
+    }
+  }
+
+  result.closingBalance = roundAmount(running);
+  return result;
+};
+
+// Fields whose stored value is off from the replayed one by a paisa or more, as { field: { stored, replayed } }
+const diffBalanceFields = (doc, expected, fields) => fields.reduce((changes, field) => {
+  const stored = roundAmount(doc[field]);
+  if (Math.abs(stored - expected[field]) >= 0.01) changes[field] = { stored, replayed: expected[field] };
+  return changes;
+}, {});
+
+/**
+ * Recompute the stored balance fields on a customer's slips and collection receipts.
+ * Reports every difference; unless dryRun, writes the replayed values inside `session`, versioning each
+ * changed slip as a 'recompute' by `changedBy`.
+ *
+ * Cancelled and pending slips are left out of the chain. 'Opening' ledger entries are left out too:
+ * the backfill posted them for the slips it linked, and those slips are replayed themselves.
+ * The customer's balance belongs to the ledger and is only compared; a difference is reported
+ * for the owner to settle with an adjustment.
+ */
+const recomputeCustomerBalances = async (customer, { dryRun = true, changedBy = 'unknown' } = {}, session = null) => {
+  const slips = await Slip.find({ customerId: customer._id, status: { $nin: ['Pending', 'Cancelled'] } })
+    .select('slipNumber date createdAt paymentMethod totalAmount partialPayment collectedAmount returnedAmount previousBalance currentBalance remainingBalance')
+    .sort({ date: 1, createdAt: 1 })
+    .session(session)
+    .lean();
+  const udharSlipIds = slips.filter(s => s.paymentMethod === 'Udhar').map(s => s._id);
+
+  // One at a time: a transaction's session cannot run queries side by side
+  const returns = await Return.find({ slipId: { $in: udharSlipIds }, udharCredit: { $gt: 0 } })
+    .select('returnNumber date udharCredit').sort({ date: 1 }).session(session).lean();
+  const collections = await UdharCollection.find({ customerId: customer._id })
+    .select('receiptNumber date amount previousBalance balanceAfter').sort({ date: 1, createdAt: 1 }).session(session).lean();
+  const adjustments = await CustomerLedgerEntry.find({ customerId: customer._id, type: 'Adjustment' })
+    .select('date amount').sort({ date: 1, createdAt: 1 }).session(session).lean();
+
+  const replay = replayBalanceChain({ slips, returns, collections, adjustments });
+
+  const differences = [];
+  for (const { slip, expected } of replay.slips) {
+    const changes = diffBalanceFields(slip, expected, SLIP_BALANCE_FIELDS);
+    if (Object.keys(changes).length === 0) continue;
+    differences.push({ kind: 'slip', id: slip._id, number: slip.slipNumber || '', date: slip.date, changes });
+    if (!dryRun) {
+      await updateSlipWithVersion(slip._id, { $set: expected }, { action: 'recompute', changedBy, reason: 'Balance chain recomputed' }, session);
+    }
+  }
+  for (const { collection, expected } of replay.collections) {
+    const changes = diffBalanceFields(collection, expected, COLLECTION_BALANCE_FIELDS);
+    if (Object.keys(changes).length === 0) continue;
+    differences.push({ kind: 'collection', id: collection._id, number: collection.receiptNumber || '', date: collection.date, changes });
+    if (!dryRun) {
+      await UdharCollection.updateOne({ _id: collection._id }, { $set: expected }, { session });
+    }
+  }
+
+  const ledgerBalance = roundAmount(customer.balance);
+  return {
+    customerId: customer._id,
+    name: customer.name,
+    slipsChecked: replay.slips.length,
+    collectionsChecked: replay.collections.length,
+    slipsChanged: differences.filter(d => d.kind === 'slip').length,
+    collectionsChanged: differences.filter(d => d.kind === 'collection').length,
+    differences,
+    balance: {
+      ledger: ledgerBalance,
+      replayed: replay.closingBalance,
+      difference: roundAmount(replay.closingBalance - ledgerBalance)
+    }
+  };
+};
+
+module.exports = {
+  replayBalanceChain,
+  recomputeCustomerBalances
+};
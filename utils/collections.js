@@ -0,0 +1,114 @@
+const Slip = require('../models/slips');
+const Income = require('../models/income');
+const UdharCollection = require('../models/udharCollections');
+const { slipOutstanding } = require('./udhar');
+const { postLedgerEntry } = require('./customers');
+const { updateSlipWithVersion } = require('./slipVersions');
+const httpError = require('./httpError');
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Spread `amount` over open slips, oldest first. `slips` must already be in date order.
+ * Returns { allocations: [{ slip, outstandingBefore, amount }], unallocated }.
+ */
+const allocateFifo = (slips, amount) => {
+  let left = roundAmount(amount);
+  const allocations = [];
+
+  for (const slip of slips) {
+    if (left <= 0) break;
+    const outstandingBefore = roundAmount(slipOutstanding(slip));
+    if (outstandingBefore <= 0) continue;
+
+    const applied = Math.min(left, outstandingBefore);
+    allocations.push({ slip, outstandingBefore, amount: applied });
+    left = roundAmount(left - applied);
+  }
+
+  return { allocations, unallocated: left };
+};
+
+/**
+ * Record money received from `customer` against their Udhar inside `session`: allocate it FIFO over
+ * their open Udhar slips (collectedAmount and remainingBalance go up/down on each), post a Payment
+ * ledger entry and a Collection Income entry that moves the amount from Udhar to `method`.
+ * Returns the saved UdharCollection.
+ */
+const recordCollection = async (customer, { amount, method = 'Cash', reference = '', date = new Date(), receivedBy = '', notes = '' }, session) => {
+  const paid = roundAmount(amount);
+  if (!(paid > 0)) throw httpError(400, 'amount must be greater than 0');
+  if (method === 'Udhar') throw httpError(400, 'A collection cannot be paid on Udhar');
+
+  const openSlips = await Slip.find({ customerId: customer._id, paymentMethod: 'Udhar', status: 'Paid' })
+    .sort({ date: 1, createdAt: 1 })
+    .session(session);
+  const { allocations, unallocated } = allocateFifo(openSlips, paid);
+
+  const collection = new UdharCollection({
+    date,
+    customerId: customer._id,
+    customerName: customer.name,
+    customerPhone: customer.phone,
+    amount: paid,
+    method,
+    reference,
+    allocations: allocations.map(a => ({
+      slipId: a.slip._id,
+      slipNumber: a.slip.slipNumber || '',
+      slipDate: a.slip.date,
+      outstandingBefore: a.outstandingBefore,
+      amount: a.amount
+    })),
+    unallocated,
+    previousBalance: roundAmount(customer.balance),
+    receivedBy,
+    notes
+  });
+
+  // Saved first for its receipt number
+  await collection.save({ session });
+
+  for (const { slip, amount: applied } of allocations) {
+    // updateOne skips the save hook, so slip numbers are left as they are
+    await updateSlipWithVersion(
+      slip._id,
+      { $inc: { collectedAmount: applied, remainingBalance: -Math.min(applied, slip.remainingBalance || 0) } },
+      { action: 'collection', changedBy: receivedBy || 'unknown', reason: `Receipt ${collection.receiptNumber}` },
+      session
+    );
+  }
+  const entry = await postLedgerEntry(customer._id, {
+    type: 'Payment',
+    amount: -paid,
+    date,
+    collectionId: collection._id,
+    note: `Receipt ${collection.receiptNumber} (${method}${reference ? ` ${reference}` : ''})`
+  }, session);
+  collection.balanceAfter = entry.balanceAfter;
+  await collection.save({ session });
+
+  const income = new Income({
+    date,
+    entryType: 'Collection',
+    totalIncome: 0,
+    productsSold: [],
+    customerName: customer.name,
+    customerPhone: customer.phone || '',
+    paymentMethod: method,
+    payments: [
+      { method, amount: paid, reference },
+      { method: 'Udhar', amount: -paid }
+    ],
+    collectionId: collection._id,
+    notes: `Receipt ${collection.receiptNumber} from ${customer.name}`
+  });
+  await income.save({ session });
+
+  return collection;
+};
+
+module.exports = {
+  allocateFifo,
+  recordCollection
+};
@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/customers');
+const CustomerMerge = require('../models/customerMerges');
+const CustomerMergeChange = require('../models/customerMergeChanges');
+const CustomerLedgerEntry = require('../models/customerLedger');
+const Slip = require('../models/slips');
+const Income = require('../models/income');
+const Return = require('../models/returns');
+const Backorder = require('../models/backorders');
+const UdharCollection = require('../models/udharCollections');
+const ReminderLog = require('../models/reminderLogs');
+const { customerNameQuery } = require('./priceLists');
+const { toNameKey } = require('./customers');
+const { updateSlipWithVersion } = require('./slipVersions');
+const httpError = require('./httpError');
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Undo rows are written and replayed this many at a time
+const CHANGE_BATCH_SIZE = 1000;
+
+const pick = (doc, fields) => fields.reduce((values, field) => ({ ...values, [field]: doc[field] }), {});
+
+/**
+ * Set `values` on every `Model` document matching `filter`, noting each one's `fields` as they were
+ * in `changes` so the merge can put them back. With dryRun nothing is written. Returns the matched ids.
+ * Slips are changed one at a time so each gets a version.
+ */
+const rewriteDocuments = async (Model, filter, fields, values, { dryRun, changes, session, versionInfo }) => {
+  const docs = await Model.find(filter).select(fields.join(' ')).session(session).lean();
+  if (docs.length === 0) return [];
+
+  const ids = docs.map(d => d._id);
+  docs.forEach(doc => changes.push({ model: Model.modelName, docId: doc._id, before: pick(doc, fields) }));
+  if (dryRun) return ids;
+
+  if (Model === Slip) {
+    for (const id of ids) await updateSlipWithVersion(id, { $set: values }, versionInfo, session);
+  } else {
+    // updateMany skips save hooks, so document numbers are left as they are
+    await Model.updateMany({ _id: { $in: ids } }, { $set: values }, { session });
+  }
+  return ids;
+};
+
+const loadActiveCustomer = async (customerId, label, session) => {
+  if (!mongoose.isValidObjectId(customerId)) throw httpError(400, `Invalid ${label} ID format`);
+  const customer = await Customer.findById(customerId).session(session).lean();
+  if (!customer) throw httpError(404, `Customer ${customerId} not found`);
+  if (!customer.isActive) {
+    throw httpError(400, `${customer.name} is inactive${customer.mergedInto ? ' (already merged into another customer)' : ''}`);
+  }
+  return customer;
+};
+
+/**
+ * Fold the `sourceIds` customers into `targetId`. Their slips, ledger entries, collections and reminder
+ * logs move to the target; slips, Income, returns, backorders and receipts are renamed to the target's
+ * name and phone, including unlinked slips and hand-entered Income under a source's name when no other
+ * customer goes by it. The balances move with the ledger entries, the sources are deactivated and their
+ * names and phones become the target's aliases.
+ * Quotations and promotion redemptions keep the names they were made under; price lists follow the
+ * customer record, so the target also gets the list of any source it had none of its own.
+ *
+ * With dryRun only the summary is built. Otherwise a CustomerMerge is saved, with a CustomerMergeChange
+ * row per changed document holding its previous customer fields for undoCustomerMerge.
+ * Returns { merge?, summary }.
+ */
+const mergeCustomers = async ({ targetId, sourceIds, mergedBy = '' }, { dryRun = false } = {}, session = null) => {
+  if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+    throw httpError(400, 'sourceIds must list at least one customer to merge');
+  }
+  const uniqueSourceIds = [...new Set(sourceIds.map(String))];
+  if (uniqueSourceIds.includes(String(targetId))) {
+    throw httpError(400, 'A customer cannot be merged into itself');
+  }
+
+  const target = await loadActiveCustomer(targetId, 'target customer', session);
+  const sources = [];
+  for (const sourceId of uniqueSourceIds) {
+    sources.push(await loadActiveCustomer(sourceId, 'source customer', session));
+  }
+  const sourceObjectIds = sources.map(s => s._id);
+
+  // Every identity folded in, including ones earlier merges gave the sources
+  const aliases = sources.flatMap(s => [
+    { name: s.name, nameKey: s.nameKey, phone: s.phone || '' },
+    ...(s.aliases || [])
+  ]);
+  const phone = target.phone || (sources.find(s => s.phone) || {}).phone || '';
+
+  const identity = { customerName: target.name };
+  if (phone) identity.customerPhone = phone;
+  const linked = { ...identity, customerId: target._id };
+
+  // Records without a customerId are matched by name only when no other customer goes by that name
+  const nameKeys = [...new Set(aliases.map(a => a.nameKey || toNameKey(a.name)).filter(Boolean))];
+  const namesakes = await Customer.find({
+    _id: { $nin: [target._id, ...sourceObjectIds] },
+    $or: [{ nameKey: { $in: nameKeys } }, { 'aliases.nameKey': { $in: nameKeys } }]
+  }).select('nameKey aliases').session(session).lean();
+  const sharedKeys = new Set(namesakes.flatMap(c => [c.nameKey, ...(c.aliases || []).map(a => a.nameKey)]));
+  const matchedNames = [...new Set(aliases.filter(a => !sharedKeys.has(a.nameKey || toNameKey(a.name))).map(a => a.name))];
+  const skippedNames = [...new Set(aliases.filter(a => sharedKeys.has(a.nameKey || toNameKey(a.name))).map(a => a.name))];
+  const nameQueries = matchedNames.filter(Boolean).map(customerNameQuery);
+
+  const changes = [];
+  const versionInfo = { action: 'merge', changedBy: mergedBy || 'unknown', reason: `Merged into customer ${target.name}` };
+  const context = { dryRun, changes, session, versionInfo };
+
+  const linkedSlipIds = await rewriteDocuments(Slip, { customerId: { $in: sourceObjectIds } },
+    ['customerId', 'customerName', 'customerPhone'], linked, context);
+  // Slips from before customer records are only renamed; their Udhar is not on any ledger
+  const unlinkedSlipIds = await rewriteDocuments(Slip, { customerId: null, customerName: { $in: nameQueries } },
+    ['customerName', 'customerPhone'], identity, context);
+  const slipIds = [...linkedSlipIds, ...unlinkedSlipIds];
+
+  const ledgerEntryIds = await rewriteDocuments(CustomerLedgerEntry, { customerId: { $in: sourceObjectIds } },
+    ['customerId'], { customerId: target._id }, context);
+  const collectionIds = await rewriteDocuments(UdharCollection, { customerId: { $in: sourceObjectIds } },
+    ['customerId', 'customerName', 'customerPhone'], linked, context);
+  const returnIds = await rewriteDocuments(Return, { slipId: { $in: slipIds } },
+    ['customerName', 'customerPhone'], identity, context);
+  const backorderIds = await rewriteDocuments(Backorder, { slipId: { $in: slipIds } },
+    ['customerName', 'customerPhone'], identity, context);
+  const incomeIds = await rewriteDocuments(Income, {
+    $or: [
+      { slipId: { $in: slipIds } },
+      { returnId: { $in: returnIds } },
+      { collectionId: { $in: collectionIds } },
+      // Entries typed in by hand through POST /api/income, under a source's own name
+      { slipId: null, returnId: null, collectionId: null, customerName: { $in: nameQueries } }
+    ]
+  }, ['customerName', 'customerPhone'], identity, context);
+  const reminderLogIds = await rewriteDocuments(ReminderLog, { customerId: { $in: sourceObjectIds } },
+    ['customerId', 'customerName'], { customerId: target._id, customerName: target.name }, context);
+
+  const balanceMoved = roundAmount(sources.reduce((sum, s) => sum + (s.balance || 0), 0));
+  const counts = {
+    slips: slipIds.length,
+    income: incomeIds.length,
+    ledgerEntries: ledgerEntryIds.length,
+    collections: collectionIds.length,
+    returns: returnIds.length,
+    backorders: backorderIds.length,
+    reminderLogs: reminderLogIds.length
+  };
+  const summary = {
+    target: {
+      customerId: target._id,
+      name: target.name,
+      phone,
+      balance: roundAmount((target.balance || 0) + balanceMoved)
+    },
+    sources: sources.map(s => ({ customerId: s._id, name: s.name, phone: s.phone, balance: roundAmount(s.balance) })),
+    balanceMoved,
+    counts,
+    // Shared with another customer, so unlinked slips and hand-entered Income under them were left alone
+    skippedNames
+  };
+  if (dryRun) return { summary };
+
+  // Identities the target already answers to are not repeated
+  const aliasKey = (a) => `${a.nameKey || toNameKey(a.name)}|${a.phone || ''}`;
+  const known = new Set([aliasKey(target), ...(target.aliases || []).map(aliasKey)]);
+  const newAliases = aliases.filter(a => {
+    if (known.has(aliasKey(a))) return false;
+    known.add(aliasKey(a));
+    return true;
+  });
+
+  await Customer.updateOne(
+    { _id: target._id },
+    { $inc: { balance: balanceMoved }, $set: { phone }, $push: { aliases: { $each: newAliases } } },
+    { session }
+  );
+  await Customer.updateMany(
+    { _id: { $in: sourceObjectIds } },
+    { $set: { isActive: false, balance: 0, mergedInto: target._id } },
+    { session }
+  );
+
+  const [merge] = await CustomerMerge.create([{
+    targetId: target._id,
+    targetName: target.name,
+    targetBefore: { phone: target.phone || '', aliases: target.aliases || [] },
+    sources: summary.sources.map(s => ({ ...s, phone: s.phone || '' })),
+    balanceMoved,
+    counts,
+    mergedBy
+  }], { session });
+
+  for (let i = 0; i < changes.length; i += CHANGE_BATCH_SIZE) {
+    const rows = changes.slice(i, i + CHANGE_BATCH_SIZE).map(change => ({ ...change, mergeId: merge._id }));
+    await CustomerMergeChange.insertMany(rows, { session });
+  }
+
+  return { merge, summary };
+};
+
+/**
+ * Put a merge back: every changed document gets its previous customer fields, the sources are
+ * reactivated with their balances and the target loses the aliases and balance the merge gave it.
+ * Refused when the target has had ledger activity since the merge, or a later merge involves
+ * these customers, since those changes could not be split back out.
+ */
+const undoCustomerMerge = async (mergeId, { undoneBy = '' } = {}, session = null) => {
+  const merge = await CustomerMerge.findById(mergeId).session(session);
+  if (!merge) throw httpError(404, 'Customer merge not found');
+  if (merge.undoneAt) {
+    throw httpError(409, `This merge was already undone on ${merge.undoneAt.toLocaleString()}`);
+  }
+
+  const customerIds = [merge.targetId, ...merge.sources.map(s => s.customerId)];
+  const laterMerge = await CustomerMerge.findOne({
+    _id: { $ne: merge._id },
+    createdAt: { $gt: merge.createdAt },
+    undoneAt: null,
+    $or: [{ targetId: { $in: customerIds } }, { 'sources.customerId': { $in: customerIds } }]
+  }).select('targetName createdAt').session(session).lean();
+  if (laterMerge) {
+    throw httpError(409, `A later merge into ${laterMerge.targetName} involves these customers; undo it first`, {
+      mergeId: laterMerge._id
+    });
+  }
+
+  const activity = await CustomerLedgerEntry.countDocuments({
+    customerId: merge.targetId,
+    createdAt: { $gt: merge.createdAt }
+  }).session(session);
+  if (activity > 0) {
+    throw httpError(409, `${merge.targetName} has ${activity} ledger entr${activity === 1 ? 'y' : 'ies'} since the merge, so it can no longer be undone`);
+  }
+
+  const versionInfo = { action: 'merge', changedBy: undoneBy || 'unknown', reason: `Merge into customer ${merge.targetName} undone` };
+  const flush = async (modelName, ops) => {
+    if (ops.length === 0) return;
+    if (modelName === Slip.modelName) {
+      for (const op of ops) await updateSlipWithVersion(op.updateOne.filter._id, op.updateOne.update, versionInfo, session);
+    } else {
+      await mongoose.model(modelName).bulkWrite(ops, { session });
+    }
+  };
+  let modelName = null;
+  let ops = [];
+  const cursor = CustomerMergeChange.find({ mergeId: merge._id }).sort({ model: 1 }).session(session).lean().cursor();
+  for await (const change of cursor) {
+    if (change.model !== modelName || ops.length >= CHANGE_BATCH_SIZE) {
+      await flush(modelName, ops);
+      modelName = change.model;
+      ops = [];
+    }
+    ops.push({ updateOne: { filter: { _id: change.docId }, update: { $set: change.before } } });
+  }
+  await flush(modelName, ops);
+
+  await Customer.updateOne(
+    { _id: merge.targetId },
+    {
+      $inc: { balance: -merge.balanceMoved },
+      $set: { phone: merge.targetBefore.phone, aliases: merge.targetBefore.aliases }
+    },
+    { session }
+  );
+  for (const source of merge.sources) {
+    await Customer.updateOne(
+      { _id: source.customerId },
+      { $set: { isActive: true, balance: source.balance, mergedInto: null } },
+      { session }
+    );
+  }
+
+  merge.undoneAt = new Date();
+  merge.undoneBy = undoneBy;
+  await merge.save({ session });
+  return merge;
+};
+
+module.exports = {
+  mergeCustomers,
+  undoCustomerMerge
+};
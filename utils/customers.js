@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/customers');
+const CustomerLedgerEntry = require('../models/customerLedger');
+const { slipOutstanding } = require('./udhar');
+const httpError = require('./httpError');
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const WALK_IN_NAMES = ['walk customer', 'walk-in customer'];
+
+const toNameKey = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const isWalkIn = (name) => !toNameKey(name) || WALK_IN_NAMES.includes(toNameKey(name));
+
+// Local format for Pakistani numbers (+92 300 1234567, 0092..., 3001234567 -> 03001234567); other numbers keep their digits
+const normalizePhone = (phone) => {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.startsWith('0092')) digits = digits.slice(2);
+  if (digits.startsWith('92') && digits.length === 12) return `0${digits.slice(2)}`;
+  if (digits.startsWith('3') && digits.length === 10) return `0${digits}`;
+  return digits;
+};
+
+/**
+ * The customer a sale is for, creating one for a new name. Returns null for walk-in sales.
+ * An explicit customerId wins; otherwise a customer with the same name and phone, then the same name
+ * (oldest first). Names and phones merged into a customer count as theirs. A phone alone never links a
+ * bill to someone else: a new name gets a new customer even when the number is already known.
+ */
+const resolveCustomer = async ({ customerId, customerName, customerPhone } = {}, session = null) => {
+  if (customerId) {
+    if (!mongoose.isValidObjectId(customerId)) throw httpError(400, 'Invalid customer ID format');
+    const customer = await Customer.findById(customerId).session(session);
+    if (!customer || !customer.isActive) throw httpError(400, 'Customer not found');
+    return customer;
+  }
+  if (isWalkIn(customerName)) return null;
+
+  const nameKey = toNameKey(customerName);
+  const phone = normalizePhone(customerPhone);
+  const findExisting = async () => {
+    const candidates = await Customer.find({ isActive: true, $or: [{ nameKey }, { 'aliases.nameKey': nameKey }] })
+      .sort({ createdAt: 1 })
+      .session(session);
+    const hasPhone = c => phone && (c.phone === phone || c.aliases.some(a => a.phone === phone));
+    return candidates.find(hasPhone) ||
+      candidates.find(c => c.nameKey === nameKey) ||
+      candidates[0];
+  };
+
+  let customer = await findExisting();
+  if (!customer) {
+    try {
+      const [created] = await Customer.create([{ name: customerName.trim(), phone }], { session });
+      return created;
+    } catch (err) {
+      // Another sale created the same customer first (unique active name and phone)
+      if (err.code !== 11000) throw err;
+      if (session && session.inTransaction()) {
+        // The transaction is aborted and cannot see the other record; runInTransaction runs it again
+        if (typeof err.addErrorLabel === 'function') err.addErrorLabel('TransientTransactionError');
+        throw err;
+      }
+      customer = await findExisting();
+      if (!customer) throw err;
+    }
+  }
+  if (phone && !customer.phone) {
+    customer.phone = phone;
+    await customer.save({ session });
+  }
+  return customer;
+};
+
+/**
+ * Move a customer's balance by `amount` and log it. The balance is changed with $inc,
+ * so concurrent sales for one customer cannot overwrite each other.
+ */
+const postLedgerEntry = async (customerId, { type, amount, date = new Date(), slip = null, returnId = null, collectionId = null, note = '' }, session = null) => {
+  const change = roundAmount(amount);
+  const customer = await Customer.findByIdAndUpdate(
+    customerId,
+    { $inc: { balance: change } },
+    { new: true, session }
+  );
+  if (!customer) throw httpError(404, 'Customer not found');
+
+  const [entry] = await CustomerLedgerEntry.create([{
+    customerId,
+    date,
+    type,
+    amount: change,
+    balanceAfter: roundAmount(customer.balance),
+    slipId: slip ? slip._id : null,
+    slipNumber: slip ? slip.slipNumber || '' : '',
+    returnId,
+    collectionId,
+    note
+  }], { session });
+  return entry;
+};
+
+// The customer's own credit limit, else UDHAR_CREDIT_LIMIT; null when neither is set (no limit)
+const creditLimitFor = (customer) => {
+  if (customer.creditLimit !== null && customer.creditLimit !== undefined) return customer.creditLimit;
+  const fallback = parseFloat(process.env.UDHAR_CREDIT_LIMIT);
+  return isFinite(fallback) ? fallback : null;
+};
+
+/**
+ * Refuse an Udhar bill that would leave the customer owing more than their credit limit:
+ * `previousBalance` is what they owe without this bill and `billCredit` what the bill puts on credit.
+ * Throws a 403 stating the balance and the headroom left, unless `override` is set.
+ * Returns true when the limit was overridden.
+ */
+const assertWithinCreditLimit = (customer, { previousBalance, billCredit, override = false }) => {
+  const limit = creditLimitFor(customer);
+  const owedAfter = roundAmount(previousBalance + billCredit);
+  if (limit === null || billCredit <= 0 || owedAfter <= limit) return false;
+  if (override) return true;
+
+  const headroom = roundAmount(Math.max(0, limit - previousBalance));
+  throw httpError(403, `Credit limit exceeded for ${customer.name}: current balance ${roundAmount(previousBalance)}, limit ${limit}, headroom ${headroom}, this bill adds ${roundAmount(billCredit)} on Udhar`, {
+    customerId: customer._id,
+    currentBalance: roundAmount(previousBalance),
+    creditLimit: limit,
+    headroom,
+    billCredit: roundAmount(billCredit),
+    override: 'Send overrideCreditLimit: true to allow it'
+  });
+};
+
+// What a slip adds to its customer's balance: the unpaid part of a completed Udhar slip
+const slipBalance = (slip) => {
+  if (!slip || !slip.customerId || slip.paymentMethod !== 'Udhar') return 0;
+  if (slip.status === 'Cancelled' || slip.status === 'Pending') return 0;
+  return roundAmount(slipOutstanding(slip));
+};
+
+/**
+ * Post the balance effect of a slip going from `before` to `after` (either may be null, for a new
+ * or deleted slip). When the slip moved to another customer, the old one is credited and the new one charged.
+ */
+const recordSlipBalanceChange = async (before, after, type, session = null, { date = new Date(), note = '' } = {}) => {
+  const changes = new Map();
+  const add = (customerId, amount) => {
+    if (!customerId) return;
+    const key = String(customerId);
+    changes.set(key, roundAmount((changes.get(key) || 0) + amount));
+  };
+  add(before && before.customerId, -slipBalance(before));
+  add(after && after.customerId, slipBalance(after));
+
+  const slip = after || before;
+  const entries = [];
+  for (const [customerId, amount] of changes) {
+    if (amount === 0) continue;
+    entries.push(await postLedgerEntry(customerId, { type, amount, date, slip, note }, session));
+  }
+  return entries;
+};
+
+module.exports = {
+  toNameKey,
+  isWalkIn,
+  normalizePhone,
+  resolveCustomer,
+  postLedgerEntry,
+  creditLimitFor,
+  assertWithinCreditLimit,
+  slipBalance,
+  recordSlipBalanceChange
+};
@@ -0,0 +1,134 @@
+const Slip = require('../models/slips');
+const Income = require('../models/income');
+const Return = require('../models/returns');
+const { unwindPayments } = require('./payments');
+const httpError = require('./httpError');
+const { calendarParts, startOfShopDay } = require('./shopClock');
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Calendar day of a date on the shop's clock (NUMBERING_TIMEZONE), as YYYY-MM-DD
+const toBusinessDate = (date = new Date()) => {
+  const { year, month, day } = calendarParts(date);
+  return `${year}-${month}-${day}`;
+};
+
+// Shop midnight to midnight for a YYYY-MM-DD day, the same days the daily slip numbers reset on
+const dayRange = (businessDate) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(businessDate || ''));
+  const [year, month, day] = match ? match.slice(1).map(Number) : [];
+  const from = match && startOfShopDay(year, month, day);
+  if (!from || toBusinessDate(from) !== businessDate) {
+    throw httpError(400, `Invalid date '${businessDate}'. Use YYYY-MM-DD`);
+  }
+  return { from, to: startOfShopDay(year, month, day + 1) };
+};
+
+/**
+ * Figures for one day, read live from slips, returns and Income.
+ * Cash expected in the drawer is the net Cash tender from Income (sales less cash refunds);
+ * callers add the opening float.
+ */
+const buildDayReport = async (businessDate) => {
+  const { from, to } = dayRange(businessDate);
+  const inDay = { $gte: from, $lt: to };
+
+  const [slipTotals] = await Slip.aggregate([
+    { $match: { date: inDay, status: { $ne: 'Pending' } } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        subtotal: { $sum: '$subtotal' },
+        discount: { $sum: '$discount' },
+        totalAmount: { $sum: '$totalAmount' }
+      }
+    }
+  ]);
+
+  const cancelledSlips = await Slip.find({ status: 'Cancelled', cancelledAt: inDay })
+    .select('slipNumber totalAmount')
+    .sort({ cancelledAt: 1 })
+    .lean();
+
+  const [returnTotals] = await Return.aggregate([
+    { $match: { date: inDay } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        totalAmount: { $sum: '$totalAmount' },
+        cashRefund: { $sum: '$cashRefund' },
+        udharCredit: { $sum: '$udharCredit' }
+      }
+    }
+  ]);
+
+  const [udharTotals] = await Slip.aggregate([
+    { $match: { date: inDay, status: 'Paid', paymentMethod: 'Udhar' } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        billed: { $sum: '$totalAmount' },
+        partialPayments: { $sum: '$partialPayment' }
+      }
+    }
+  ]);
+
+  const methodTotals = await Income.aggregate([
+    { $match: { date: inDay, isActive: true } },
+    ...unwindPayments('totalIncome'),
+    {
+      $group: {
+        _id: '$payment.method',
+        amount: { $sum: '$payment.amount' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const paymentMethods = methodTotals.map(m => ({ method: m._id, amount: roundAmount(m.amount), count: m.count }));
+  const cash = paymentMethods.find(m => m.method === 'Cash');
+  const udhar = udharTotals || { count: 0, billed: 0, partialPayments: 0 };
+
+  return {
+    businessDate,
+    from,
+    to,
+    slips: {
+      count: slipTotals ? slipTotals.count : 0,
+      subtotal: roundAmount(slipTotals && slipTotals.subtotal),
+      discount: roundAmount(slipTotals && slipTotals.discount),
+      totalAmount: roundAmount(slipTotals && slipTotals.totalAmount)
+    },
+    cancellations: {
+      count: cancelledSlips.length,
+      totalAmount: roundAmount(cancelledSlips.reduce((sum, s) => sum + (s.totalAmount || 0), 0)),
+      slipNumbers: cancelledSlips.map(s => s.slipNumber || String(s._id))
+    },
+    returns: {
+      count: returnTotals ? returnTotals.count : 0,
+      totalAmount: roundAmount(returnTotals && returnTotals.totalAmount),
+      cashRefund: roundAmount(returnTotals && returnTotals.cashRefund),
+      udharCredit: roundAmount(returnTotals && returnTotals.udharCredit)
+    },
+    udhar: {
+      count: udhar.count,
+      billed: roundAmount(udhar.billed),
+      partialPayments: roundAmount(udhar.partialPayments),
+      credited: roundAmount(udhar.billed - udhar.partialPayments)
+    },
+    paymentMethods,
+    incomeTotal: roundAmount(paymentMethods.reduce((sum, m) => sum + m.amount, 0)),
+    cashFromIncome: cash ? cash.amount : 0
+  };
+};
+
+module.exports = {
+  roundAmount,
+  toBusinessDate,
+  dayRange,
+  buildDayReport
+};
@@ -0,0 +1,10 @@
+// Error carrying the HTTP status (and optional details) a route should respond with.
+// Routes check err.status in their catch block; anything without it is a 500.
+const httpError = (status, message, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details !== undefined) err.details = details;
+  return err;
+};
+
+module.exports = httpError;
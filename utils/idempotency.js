@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKeys');
+const httpError = require('./httpError');
+
+const MAX_KEY_LENGTH = 255;
+
+// Replays are honoured for IDEMPOTENCY_KEY_TTL_HOURS (default 24) after the first request
+const retentionEnd = () => {
+  const hours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+};
+
+const hashRequest = (body) => crypto.createHash('sha256').update(JSON.stringify(body ?? {})).digest('hex');
+
+// The Idempotency-Key header, trimmed, or null when the client did not send one
+const getIdempotencyKey = (req) => {
+  const key = (req.get('Idempotency-Key') || '').trim();
+  if (!key) return null;
+  if (key.length > MAX_KEY_LENGTH) {
+    throw httpError(400, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+  }
+  return key;
+};
+
+/**
+ * Look up an earlier request with this key. Returns its record ({ statusCode, documentId })
+ * or null for a new key. Throws 422 when the key was used for a different request body.
+ */
+const findIdempotentRequest = async (scope, key, body) => {
+  const record = await IdempotencyKey.findById(`${scope}:${key}`).lean();
+  if (!record) return null;
+
+  // Past the window but not yet removed by the TTL monitor: treat as new
+  if (record.expiresAt <= new Date()) {
+    await IdempotencyKey.deleteOne({ _id: record._id, expiresAt: { $lte: new Date() } });
+    return null;
+  }
+
+  if (record.requestHash !== hashRequest(body)) {
+    throw httpError(422, 'Idempotency-Key was already used for a different request', 'Use a new key for a new request');
+  }
+  return record;
+};
+
+/**
+ * Claim the key inside the caller's transaction, before anything else is written, so a
+ * concurrent retry conflicts here and the claim rolls back with the transaction on failure.
+ */
+const claimIdempotencyKey = async (scope, key, body, session) => {
+  try {
+    const [record] = await IdempotencyKey.create([{
+      _id: `${scope}:${key}`,
+      scope,
+      key,
+      requestHash: hashRequest(body),
+      expiresAt: retentionEnd()
+    }], { session });
+    return record;
+  } catch (err) {
+    const conflict = err.code === 11000 ||
+      err.code === 112 ||
+      (err.errorLabels && err.errorLabels.includes('TransientTransactionError'));
+    if (conflict) {
+      throw httpError(409, 'A request with this Idempotency-Key is already being processed', 'Retry shortly to get its result');
+    }
+    throw err;
+  }
+};
+
+// Record what the claimed request created, in the same transaction
+const completeIdempotencyKey = async (record, { statusCode, documentId }, session) => {
+  record.statusCode = statusCode;
+  record.documentId = documentId;
+  await record.save({ session });
+};
+
+module.exports = {
+  getIdempotencyKey,
+  findIdempotentRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey
+};
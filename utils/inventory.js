@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const Item = require('../models/items');
+const httpError = require('./httpError');
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Attribute query for a slip line when its name does not match an item. Null for bundles: they have
+// no attributes to tell them apart, so a bundle line is found by itemId, name or SKU or not at all.
+const attributeQuery = (product) => {
+  if (product.productType === 'Bundle') return null;
+
+  const query = {
+    productType: product.productType || 'Cover',
+    isActive: { $ne: false }
+  };
+
+  if (product.productType === 'Cover' && product.coverType) {
+    query.coverType = product.coverType;
+  } else if (product.productType === 'Plate') {
+    if (product.bikeName) query.bikeName = product.bikeName;
+    if (product.plateCompany) query.plateCompany = product.plateCompany;
+    if (product.plateType) query.plateType = product.plateType;
+  } else if (product.productType === 'Form') {
+    if (product.formCompany) query.formCompany = product.formCompany;
+    if (product.formType) query.formType = product.formType;
+    if (product.formVariant) query.formVariant = product.formVariant;
+    if (product.bikeName) query.bikeName = product.bikeName;
+  }
+
+  return query;
+};
+
+/**
+ * Find the inventory item a slip line was sold from: the linked itemId when the line has one,
+ * otherwise (older lines) exact name/SKU, then attributes.
+ */
+const findInventoryItem = async (product, session = null) => {
+  if (product.itemId && mongoose.isValidObjectId(product.itemId)) {
+    const linkedItem = await Item.findById(product.itemId).session(session);
+    if (linkedItem) return linkedItem;
+  }
+
+  const productName = (product.productName || '').trim();
+  let inventoryItem = null;
+
+  if (productName) {
+    const exact = new RegExp(`^${escapeRegex(productName)}$`, 'i');
+    inventoryItem = await Item.findOne({
+      $or: [{ name: exact }, { sku: exact }],
+      isActive: { $ne: false }
+    }).session(session);
+  }
+
+  const query = !inventoryItem && product.productType ? attributeQuery(product) : null;
+  if (query) {
+    inventoryItem = await Item.findOne(query).session(session);
+  }
+
+  return inventoryItem;
+};
+
+/**
+ * Put `quantity` units of a slip line back into stock. A bundle line restocks its components,
+ * using the components saved on the line (or the bundle's current ones for older lines).
+ * Returns true when something was restocked.
+ */
+const restoreStock = async (product, quantity, session = null) => {
+  const inventoryItem = await findInventoryItem(product, session);
+  const components = product.components && product.components.length > 0
+    ? product.components
+    : (inventoryItem && inventoryItem.productType === 'Bundle' ? inventoryItem.components : []);
+
+  if (components.length > 0) {
+    for (const component of components) {
+      await Item.findByIdAndUpdate(
+        component.itemId,
+        { $inc: { quantity: component.quantity * quantity }, lastUpdated: new Date() },
+        { session }
+      );
+    }
+    return true;
+  }
+
+  if (!inventoryItem) return false;
+  await Item.findByIdAndUpdate(
+    inventoryItem._id,
+    { $inc: { quantity }, lastUpdated: new Date() },
+    { session }
+  );
+  return true;
+};
+
+/**
+ * Check a bundle's component list: each must be an active, non-bundle item other than the
+ * bundle itself, with a whole quantity of at least 1. The same item listed twice is merged.
+ * Returns [{ itemId, quantity }] or throws a 400.
+ */
+const resolveBundleComponents = async (components, bundleId = null) => {
+  if (!Array.isArray(components) || components.length === 0) {
+    throw httpError(400, 'A bundle needs at least one component');
+  }
+
+  const merged = new Map();
+  for (const [index, component] of components.entries()) {
+    const itemId = component && String(component.itemId || '');
+    const quantity = Number(component && component.quantity);
+    if (!mongoose.isValidObjectId(itemId)) {
+      throw httpError(400, `Component ${index + 1}: invalid itemId '${itemId}'`);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw httpError(400, `Component ${index + 1}: quantity must be a whole number of at least 1`);
+    }
+    if (bundleId && String(bundleId) === itemId) {
+      throw httpError(400, 'A bundle cannot contain itself');
+    }
+    merged.set(itemId, (merged.get(itemId) || 0) + quantity);
+  }
+
+  const items = await Item.find({ _id: { $in: [...merged.keys()] } }).select('name productType isActive').lean();
+  for (const itemId of merged.keys()) {
+    const item = items.find(i => String(i._id) === itemId);
+    if (!item || item.isActive === false) {
+      throw httpError(400, `Component item ${itemId} not found in inventory`);
+    }
+    if (item.productType === 'Bundle') {
+      throw httpError(400, `'${item.name}' is a bundle and cannot be a component`);
+    }
+  }
+
+  return [...merged.entries()].map(([itemId, quantity]) => ({ itemId, quantity }));
+};
+
+// Whole bundles the component stock can make; 0 when a component is missing or inactive
+const bundleAvailability = (bundle, componentItems) => {
+  if (!bundle.components || bundle.components.length === 0) return 0;
+  return Math.min(...bundle.components.map(component => {
+    const item = componentItems.get(String(component.itemId));
+    if (!item || item.isActive === false) return 0;
+    return Math.floor(Math.max(0, item.quantity) / component.quantity);
+  }));
+};
+
+/**
+ * Plain item objects with each bundle's quantity replaced by what its components can make
+ * (bundles hold no stock of their own). Other items are returned as they are.
+ */
+const withBundleAvailability = async (items) => {
+  const componentIds = items
+    .filter(item => item.productType === 'Bundle')
+    .flatMap(bundle => (bundle.components || []).map(c => c.itemId));
+  if (componentIds.length === 0) return items;
+
+  const componentItems = new Map(
+    (await Item.find({ _id: { $in: componentIds } }).select('quantity isActive').lean())
+      .map(item => [String(item._id), item])
+  );
+
+  return items.map(item => item.productType === 'Bundle'
+    ? { ...item, quantity: bundleAvailability(item, componentItems) }
+    : item);
+};
+
+/**
+ * Every item (active or not) a line could refer to: exact name/SKU matches, else attribute matches.
+ * Used to link old lines only when there is exactly one candidate.
+ */
+const findInventoryCandidates = async (product) => {
+  const productName = (product.productName || '').trim();
+
+  if (productName) {
+    const exact = new RegExp(`^${escapeRegex(productName)}$`, 'i');
+    const byName = await Item.find({ $or: [{ name: exact }, { sku: exact }] }).select('_id name sku').lean();
+    if (byName.length > 0) return byName;
+  }
+
+  const attributes = product.productType ? attributeQuery(product) : null;
+  if (!attributes) return [];
+  const { isActive, ...query } = attributes;
+  return Item.find(query).select('_id name sku').lean();
+};
+
+module.exports = {
+  escapeRegex,
+  findInventoryItem,
+  restoreStock,
+  findInventoryCandidates,
+  resolveBundleComponents,
+  withBundleAvailability
+};
@@ -0,0 +1,42 @@
+const Counter = require('../models/counters');
+const { calendarParts } = require('./shopClock');
+
+const RESET_PERIODS = ['yearly', 'daily'];
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+// Period part of the number: '2026' for yearly reset, '20261019' for daily reset
+const periodKey = (reset, date) => {
+  const { year, month, day } = calendarParts(date);
+  if (reset === 'daily') {
+    return `${year}${month}${day}`;
+  }
+  return year;
+};
+
+/**
+ * Issue the next human-readable number for a document series, e.g. SLP-2026-000123.
+ * The sequence restarts every year or day (per `reset`) on the NUMBERING_TIMEZONE calendar.
+ *
+ * The number is taken inside `session`, so a create that rolls back gives its number back and the
+ * series has no gaps. Concurrent creates write-conflict on the counter; callers run in
+ * runInTransaction (utils/transactions), which retries the losing transaction.
+ */
+const nextDocumentNumber = async ({ series, prefix, reset = 'yearly', padding = 6 }, session = null, date = new Date()) => {
+  const period = periodKey(RESET_PERIODS.includes(reset) ? reset : 'yearly', date);
+  const seq = await Counter.next(`${series}:${period}`, session);
+  return `${prefix}-${period}-${pad(seq, padding)}`;
+};
+
+// Slip numbers are configurable via SLIP_NUMBER_PREFIX, SLIP_NUMBER_RESET and SLIP_NUMBER_PADDING
+const nextSlipNumber = (session = null, date = new Date()) => nextDocumentNumber({
+  series: 'slip',
+  prefix: process.env.SLIP_NUMBER_PREFIX || 'SLP',
+  reset: process.env.SLIP_NUMBER_RESET || 'yearly',
+  padding: parseInt(process.env.SLIP_NUMBER_PADDING) || 6
+}, session, date);
+
+module.exports = {
+  nextDocumentNumber,
+  nextSlipNumber
+};
@@ -0,0 +1,92 @@
+const { PAYMENT_METHODS } = require('../models/payment');
+const httpError = require('./httpError');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Work out how a bill of `totalAmount` is paid.
+ * Takes either `payments: [{ method, amount, reference }]` (must add up to totalAmount) or the
+ * older single `paymentMethod` plus `partialPayment` for Udhar, which is treated as paid in cash.
+ * Returns { payments, paymentMethod, partialPayment }. A bill with any Udhar share is an Udhar
+ * bill whose partialPayment is everything paid now, so the Udhar balance maths is unchanged;
+ * otherwise paymentMethod is the largest tender. Throws a 400 httpError on invalid input.
+ */
+const resolvePayments = ({ payments, paymentMethod, partialPayment = 0 }, totalAmount) => {
+  if (!Array.isArray(payments) || payments.length === 0) {
+    const method = paymentMethod || 'Cash';
+    if (!PAYMENT_METHODS.includes(method)) {
+      throw httpError(400, `Invalid payment method '${method}'`, `Use one of: ${PAYMENT_METHODS.join(', ')}`);
+    }
+    if (method !== 'Udhar') {
+      return {
+        payments: totalAmount > 0 ? [{ method, amount: totalAmount, reference: '' }] : [],
+        paymentMethod: method,
+        partialPayment: 0
+      };
+    }
+
+    const paidNow = Math.max(0, parseFloat(partialPayment) || 0);
+    const cash = Math.min(paidNow, totalAmount);
+    return {
+      payments: [
+        { method: 'Cash', amount: cash, reference: '' },
+        { method: 'Udhar', amount: roundAmount(totalAmount - cash), reference: '' }
+      ].filter(payment => payment.amount > 0),
+      paymentMethod: 'Udhar',
+      partialPayment: paidNow
+    };
+  }
+
+  const resolved = payments.map((payment, index) => {
+    const method = payment && payment.method;
+    const amount = roundAmount(parseFloat(payment && payment.amount));
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      throw httpError(400, `Payment ${index + 1}: invalid method '${method}'`, `Use one of: ${PAYMENT_METHODS.join(', ')}`);
+    }
+    if (!(amount > 0)) {
+      throw httpError(400, `Payment ${index + 1}: amount must be greater than 0`);
+    }
+    return { method, amount, reference: String(payment.reference || '').trim() };
+  });
+
+  const paymentsTotal = roundAmount(resolved.reduce((sum, payment) => sum + payment.amount, 0));
+  if (Math.abs(paymentsTotal - totalAmount) > 0.01) {
+    throw httpError(400, `Payments add up to ${paymentsTotal} but the slip total is ${totalAmount}`);
+  }
+
+  const udhar = resolved
+    .filter(payment => payment.method === 'Udhar')
+    .reduce((sum, payment) => sum + payment.amount, 0);
+  const largest = resolved.reduce((best, payment) => (payment.amount > best.amount ? payment : best));
+
+  return {
+    payments: resolved,
+    paymentMethod: udhar > 0 ? 'Udhar' : largest.method,
+    partialPayment: udhar > 0 ? roundAmount(totalAmount - udhar) : 0
+  };
+};
+
+/**
+ * Aggregation stages that emit one document per tender with `payment.method` and `payment.amount`.
+ * Records saved before split payments have no `payments`; they count in full under `paymentMethod`.
+ */
+const unwindPayments = (amountField) => [
+  {
+    $addFields: {
+      payment: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+          '$payments',
+          [{ method: { $ifNull: ['$paymentMethod', 'Cash'] }, amount: { $ifNull: [`$${amountField}`, 0] } }]
+        ]
+      }
+    }
+  },
+  { $unwind: '$payment' }
+];
+
+module.exports = {
+  resolvePayments,
+  unwindPayments
+};
@@ -0,0 +1,424 @@
+const { jsPDF } = require('jspdf');
+const { SHOP_NAME, SHOP_ADDRESS, SHOP_PHONE } = require('./shop');
+
+const PAGE_FORMATS = ['a4', 'a5'];
+
+// Format a number as rupees with thousands separators
+const formatAmount = (value) => {
+  const amount = Number(value) || 0;
+  return `Rs. ${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return isNaN(date) ? '' : date.toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+// Variant column: coverType for covers, plateType (bike) for plates, formVariant (company) for forms
+const describeVariant = (product) => {
+  if (product.productType === 'Plate') {
+    return `${product.plateType || ''}${product.bikeName ? ` (${product.bikeName})` : ''}`.trim();
+  }
+  if (product.productType === 'Form') {
+    return `${product.formVariant || ''}${product.formCompany ? ` (${product.formCompany})` : ''}`.trim();
+  }
+  return product.coverType || '';
+};
+
+// Page geometry and font sizes scaled for A4 or A5
+const createDocument = (format) => {
+  const doc = new jsPDF({ unit: 'mm', format });
+  const small = format === 'a5';
+  return {
+    doc,
+    width: doc.internal.pageSize.getWidth(),
+    height: doc.internal.pageSize.getHeight(),
+    margin: small ? 8 : 12,
+    fontSize: small ? 7 : 9,
+    lineHeight: small ? 3.6 : 4.6
+  };
+};
+
+const drawHeader = (page, title, metaLines) => {
+  const { doc, width, margin, fontSize, lineHeight } = page;
+  let y = margin + 4;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(fontSize + 7);
+  doc.text(SHOP_NAME, width / 2, y, { align: 'center' });
+  y += lineHeight + 1;
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(fontSize);
+  [SHOP_ADDRESS, SHOP_PHONE].filter(Boolean).forEach(line => {
+    doc.text(line, width / 2, y, { align: 'center' });
+    y += lineHeight;
+  });
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(fontSize + 3);
+  doc.text(title, width / 2, y + 1, { align: 'center' });
+  y += lineHeight + 3;
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(fontSize);
+  metaLines.forEach(([left, right]) => {
+    if (left) doc.text(left, margin, y);
+    if (right) doc.text(right, width - margin, y, { align: 'right' });
+    y += lineHeight;
+  });
+
+  doc.setLineWidth(0.3);
+  doc.line(margin, y, width - margin, y);
+  return y + lineHeight;
+};
+
+// Column x positions are fractions of the printable width so the same layout fits A4 and A5
+const drawTable = (page, columns, rows, startY) => {
+  const { doc, width, height, margin, lineHeight } = page;
+  const usable = width - margin * 2;
+  let offset = margin;
+  const positioned = columns.map(column => {
+    const x = offset;
+    offset += usable * column.width;
+    return { ...column, x, cellWidth: usable * column.width };
+  });
+
+  const drawColumnHeaders = (y) => {
+    doc.setFont('helvetica', 'bold');
+    positioned.forEach(column => {
+      const x = column.align === 'right' ? column.x + column.cellWidth - 1 : column.x;
+      doc.text(column.label, x, y, { align: column.align || 'left' });
+    });
+    doc.setFont('helvetica', 'normal');
+    doc.line(margin, y + 1.2, width - margin, y + 1.2);
+    return y + lineHeight + 0.5;
+  };
+
+  let y = drawColumnHeaders(startY);
+
+  rows.forEach(row => {
+    const cells = positioned.map(column => {
+      const text = String(row[column.key] ?? '');
+      return column.align === 'right' ? [text] : doc.splitTextToSize(text, column.cellWidth - 1.5);
+    });
+    const rowLines = Math.max(...cells.map(cell => cell.length));
+
+    if (y + rowLines * lineHeight > height - margin) {
+      doc.addPage();
+      y = drawColumnHeaders(margin + 4);
+    }
+
+    positioned.forEach((column, i) => {
+      const x = column.align === 'right' ? column.x + column.cellWidth - 1 : column.x;
+      doc.text(cells[i], x, y, { align: column.align || 'left' });
+    });
+    y += rowLines * lineHeight;
+  });
+
+  doc.line(margin, y - lineHeight + 1.5, width - margin, y - lineHeight + 1.5);
+  return y + 1;
+};
+
+// Label/value pairs right-aligned under the table; bold rows are drawn slightly larger
+const drawSummary = (page, entries, startY) => {
+  const { doc, width, height, margin, fontSize, lineHeight } = page;
+  const labelX = width - margin - (width - margin * 2) * 0.45;
+  let y = startY;
+
+  entries.forEach(({ label, value, bold }) => {
+    if (y + lineHeight > height - margin) {
+      doc.addPage();
+      y = margin + 4;
+    }
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(bold ? fontSize + 1 : fontSize);
+    doc.text(label, labelX, y);
+    doc.text(value, width - margin, y, { align: 'right' });
+    y += lineHeight;
+  });
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(fontSize);
+  return y;
+};
+
+const drawWatermark = (page, text) => {
+  const { doc, width, height } = page;
+  for (let i = 1; i <= doc.getNumberOfPages(); i++) {
+    doc.setPage(i);
+    doc.saveGraphicsState();
+    doc.setGState(new doc.GState({ opacity: 0.2 }));
+    doc.setTextColor(200, 0, 0);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(width / 2.2);
+    doc.text(text, width / 2, height / 2, { align: 'center', angle: 45 });
+    doc.restoreGraphicsState();
+  }
+  doc.setTextColor(0, 0, 0);
+};
+
+// Line table used by slips and quotations
+const drawProductLines = (page, products, startY) => drawTable(page, [
+  { key: 'index', label: '#', width: 0.05 },
+  { key: 'productName', label: 'Product', width: 0.25 },
+  { key: 'productType', label: 'Type', width: 0.09 },
+  { key: 'variant', label: 'Variant', width: 0.17 },
+  { key: 'quantity', label: 'Qty', width: 0.06, align: 'right' },
+  { key: 'basePrice', label: 'Base', width: 0.095, align: 'right' },
+  { key: 'unitPrice', label: 'Unit', width: 0.095, align: 'right' },
+  { key: 'discountAmount', label: 'Disc.', width: 0.085, align: 'right' },
+  { key: 'totalPrice', label: 'Total', width: 0.105, align: 'right' }
+], products.map((p, i) => ({
+  index: i + 1,
+  productName: p.productName || '',
+  productType: p.productType || '',
+  variant: describeVariant(p),
+  quantity: p.quantity || 0,
+  basePrice: (Number(p.basePrice) || 0).toFixed(2),
+  unitPrice: (Number(p.unitPrice) || 0).toFixed(2),
+  discountAmount: (Number(p.discountAmount) || 0).toFixed(2),
+  totalPrice: (Number(p.totalPrice) || 0).toFixed(2)
+})), startY);
+
+// Free text under the totals, wrapped to the page width
+const drawNotes = (page, notes, y, label = 'Notes') => {
+  if (!notes) return y;
+  const { doc, width, margin, lineHeight } = page;
+  const lines = doc.splitTextToSize(label ? `${label}: ${notes}` : notes, width - margin * 2);
+  doc.text(lines, margin, y + lineHeight);
+  return y + lineHeight * (lines.length + 1);
+};
+
+const toBuffer = (doc) => Buffer.from(doc.output('arraybuffer'));
+
+/**
+ * Render a slip as an A4/A5 invoice PDF.
+ * Udhar slips get a balance block; cancelled slips get a CANCELLED watermark.
+ * Returns a Buffer ready to send with Content-Type application/pdf.
+ */
+const renderSlipPdf = (slip, { format = 'a4' } = {}) => {
+  const page = createDocument(format);
+
+  const meta = [
+    [`Slip #: ${slip.slipNumber || slip._id}`, `Date: ${formatDate(slip.date || slip.createdAt)}`],
+    [`Customer: ${slip.customerName || 'Walk Customer'}`, slip.customerPhone ? `Phone: ${slip.customerPhone}` : ''],
+    [`Payment: ${slip.paymentMethod || 'Cash'}`, `Status: ${slip.status || 'Paid'}`]
+  ];
+  if (slip.status === 'Cancelled' && slip.cancelledAt) {
+    meta.push([`Cancelled on: ${formatDate(slip.cancelledAt)}`, '']);
+  }
+
+  let y = drawHeader(page, 'INVOICE', meta);
+
+  y = drawProductLines(page, slip.products || [], y);
+
+  const totals = [
+    { label: 'Subtotal', value: formatAmount(slip.subtotal) },
+    { label: 'Discount', value: formatAmount(slip.discount) },
+    { label: 'Total Amount', value: formatAmount(slip.totalAmount), bold: true }
+  ];
+  y = drawSummary(page, totals, y + 2);
+
+  // Tender breakdown only when the bill was split across methods
+  const payments = slip.payments || [];
+  if (payments.length > 1) {
+    y = drawSummary(page, payments.map(payment => ({
+      label: `${payment.method}${payment.reference ? ` (${payment.reference})` : ''}`,
+      value: formatAmount(payment.amount)
+    })), y + page.lineHeight / 2);
+  }
+
+  if (slip.paymentMethod === 'Udhar') {
+    y = drawSummary(page, [
+      { label: 'Previous Balance', value: formatAmount(slip.previousBalance) },
+      { label: 'This Bill', value: formatAmount(slip.totalAmount) },
+      { label: 'Paid Now', value: formatAmount(slip.partialPayment) },
+      { label: 'Remaining Balance', value: formatAmount(slip.remainingBalance), bold: true }
+    ], y + page.lineHeight / 2);
+  }
+
+  drawNotes(page, slip.notes, y);
+
+  if (slip.status === 'Cancelled') {
+    drawWatermark(page, 'CANCELLED');
+  }
+
+  return toBuffer(page.doc);
+};
+
+/**
+ * Render a quotation as an A4/A5 PDF with its validity date.
+ * Converted or cancelled quotes are watermarked so they are not mistaken for open offers.
+ */
+const renderQuotationPdf = (quotation, { format = 'a4' } = {}) => {
+  const page = createDocument(format);
+
+  let y = drawHeader(page, 'QUOTATION', [
+    [`Quotation #: ${quotation.quotationNumber || quotation._id}`, `Date: ${formatDate(quotation.date || quotation.createdAt)}`],
+    [`Customer: ${quotation.customerName || 'Walk Customer'}`, quotation.customerPhone ? `Phone: ${quotation.customerPhone}` : ''],
+    [`Valid until: ${formatDate(quotation.validUntil)}`, `Status: ${quotation.status || 'Open'}`]
+  ]);
+
+  y = drawProductLines(page, quotation.products || [], y);
+
+  y = drawSummary(page, [
+    { label: 'Subtotal', value: formatAmount(quotation.subtotal) },
+    { label: 'Discount', value: formatAmount(quotation.discount) },
+    { label: 'Total Amount', value: formatAmount(quotation.totalAmount), bold: true }
+  ], y + 2);
+
+  y = drawNotes(page, quotation.notes, y);
+  drawNotes(page, 'Prices are subject to stock availability at the time of purchase.', y, '');
+
+  if (quotation.status === 'Converted' || quotation.status === 'Cancelled') {
+    drawWatermark(page, quotation.status.toUpperCase());
+  }
+
+  return toBuffer(page.doc);
+};
+
+/**
+ * Render a closed day (Z-report) as an A4/A5 PDF: sales, cancellations, returns, Udhar,
+ * per-method tender and the cash drawer count.
+ */
+const renderDayClosePdf = (dayClose, { format = 'a4' } = {}) => {
+  const page = createDocument(format);
+
+  let y = drawHeader(page, 'DAY CLOSE (Z-REPORT)', [
+    [`Business date: ${dayClose.businessDate}`, `Closed: ${formatDate(dayClose.closedAt)}`],
+    [`Closed by: ${dayClose.closedBy || 'unknown'}`, '']
+  ]);
+
+  y = drawTable(page, [
+    { key: 'method', label: 'Payment method', width: 0.5 },
+    { key: 'count', label: 'Entries', width: 0.2, align: 'right' },
+    { key: 'amount', label: 'Amount', width: 0.3, align: 'right' }
+  ], (dayClose.paymentMethods || []).map(m => ({
+    method: m.method,
+    count: m.count,
+    amount: formatAmount(m.amount)
+  })), y);
+
+  const { slips = {}, cancellations = {}, returns = {}, udhar = {} } = dayClose;
+  y = drawSummary(page, [
+    { label: 'Income Total', value: formatAmount(dayClose.incomeTotal), bold: true },
+    { label: `Slips (${slips.count || 0})`, value: formatAmount(slips.totalAmount) },
+    { label: 'Discounts', value: formatAmount(slips.discount) },
+    { label: `Cancelled (${cancellations.count || 0})`, value: formatAmount(cancellations.totalAmount) },
+    { label: `Returns (${returns.count || 0})`, value: formatAmount(returns.totalAmount) },
+    { label: 'Cash Refunds', value: formatAmount(returns.cashRefund) },
+    { label: `Udhar Billed (${udhar.count || 0})`, value: formatAmount(udhar.billed) },
+    { label: 'Udhar Paid Now', value: formatAmount(udhar.partialPayments) },
+    { label: 'Udhar On Credit', value: formatAmount(udhar.credited) }
+  ], y + 2);
+
+  y = drawSummary(page, [
+    { label: 'Opening Cash', value: formatAmount(dayClose.openingCash) },
+    { label: 'Expected Cash', value: formatAmount(dayClose.expectedCash) },
+    { label: 'Counted Cash', value: formatAmount(dayClose.countedCash) },
+    { label: dayClose.difference < 0 ? 'Short' : 'Over', value: formatAmount(dayClose.difference), bold: true }
+  ], y + page.lineHeight / 2);
+
+  if ((cancellations.slipNumbers || []).length > 0) {
+    y = drawNotes(page, cancellations.slipNumbers.join(', '), y, 'Cancelled slips');
+  }
+  drawNotes(page, dayClose.notes, y);
+
+  return toBuffer(page.doc);
+};
+
+/**
+ * Render an Udhar collection as a payment receipt: the slips it paid off and the balance left.
+ */
+const renderCollectionPdf = (collection, { format = 'a5' } = {}) => {
+  const page = createDocument(format);
+
+  let y = drawHeader(page, 'PAYMENT RECEIPT', [
+    [`Receipt #: ${collection.receiptNumber || collection._id}`, `Date: ${formatDate(collection.date)}`],
+    [`Customer: ${collection.customerName || ''}`, collection.customerPhone ? `Phone: ${collection.customerPhone}` : ''],
+    [`Paid by: ${collection.method}${collection.reference ? ` (${collection.reference})` : ''}`, collection.receivedBy ? `Received by: ${collection.receivedBy}` : '']
+  ]);
+
+  y = drawTable(page, [
+    { key: 'slipNumber', label: 'Slip #', width: 0.35 },
+    { key: 'slipDate', label: 'Slip date', width: 0.25 },
+    { key: 'outstandingBefore', label: 'Owed', width: 0.2, align: 'right' },
+    { key: 'amount', label: 'Paid', width: 0.2, align: 'right' }
+  ], (collection.allocations || []).map(a => ({
+    slipNumber: a.slipNumber || String(a.slipId),
+    slipDate: formatDate(a.slipDate),
+    outstandingBefore: (Number(a.outstandingBefore) || 0).toFixed(2),
+    amount: (Number(a.amount) || 0).toFixed(2)
+  })), y);
+
+  const summary = [
+    { label: 'Previous Balance', value: formatAmount(collection.previousBalance) },
+    { label: 'Amount Received', value: formatAmount(collection.amount), bold: true }
+  ];
+  if (collection.unallocated > 0) {
+    summary.push({ label: 'Advance (credit)', value: formatAmount(collection.unallocated) });
+  }
+  summary.push({ label: 'Balance Now', value: formatAmount(collection.balanceAfter), bold: true });
+  y = drawSummary(page, summary, y + 2);
+
+  drawNotes(page, collection.notes, y);
+
+  return toBuffer(page.doc);
+};
+
+/**
+ * Render a customer account statement: opening balance, debits and credits with the running
+ * balance, and the closing balance.
+ */
+const renderStatementPdf = (statement, { format = 'a4' } = {}) => {
+  const page = createDocument(format);
+  const { customer } = statement;
+
+  let y = drawHeader(page, 'ACCOUNT STATEMENT', [
+    [`Customer: ${customer.name}`, customer.phone ? `Phone: ${customer.phone}` : ''],
+    [`Period: ${statement.startDate} to ${statement.endDate}`, `Printed: ${formatDate(statement.generatedAt)}`],
+    ...(customer.address ? [[`Address: ${customer.address}`, '']] : [])
+  ]);
+
+  const rows = [
+    { date: '', reference: '', description: 'Opening balance', debit: '', credit: '', balance: statement.openingBalance.toFixed(2) },
+    ...statement.lines.map(line => ({
+      date: formatDate(line.date),
+      reference: line.reference,
+      description: line.description,
+      debit: line.debit ? line.debit.toFixed(2) : '',
+      credit: line.credit ? line.credit.toFixed(2) : '',
+      balance: line.balance.toFixed(2)
+    }))
+  ];
+  y = drawTable(page, [
+    { key: 'date', label: 'Date', width: 0.17 },
+    { key: 'reference', label: 'Ref #', width: 0.17 },
+    { key: 'description', label: 'Description', width: 0.27 },
+    { key: 'debit', label: 'Debit', width: 0.13, align: 'right' },
+    { key: 'credit', label: 'Credit', width: 0.13, align: 'right' },
+    { key: 'balance', label: 'Balance', width: 0.13, align: 'right' }
+  ], rows, y);
+
+  drawSummary(page, [
+    { label: 'Opening Balance', value: formatAmount(statement.openingBalance) },
+    { label: 'Total Debits', value: formatAmount(statement.totalDebit) },
+    { label: 'Total Credits', value: formatAmount(statement.totalCredit) },
+    { label: statement.closingBalance < 0 ? 'Closing Balance (credit)' : 'Closing Balance', value: formatAmount(statement.closingBalance), bold: true }
+  ], y + 2);
+
+  return toBuffer(page.doc);
+};
+
+module.exports = {
+  PAGE_FORMATS,
+  formatAmount,
+  describeVariant,
+  renderSlipPdf,
+  renderQuotationPdf,
+  renderDayClosePdf,
+  renderCollectionPdf,
+  renderStatementPdf
+};
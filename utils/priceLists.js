@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const PriceList = require('../models/priceLists');
+const Customer = require('../models/customers');
+const { escapeRegex } = require('./inventory');
+const { toNameKey, isWalkIn } = require('./customers');
+
+const ATTRIBUTE_FIELDS = ['productType', 'coverType', 'bikeName', 'plateCompany', 'plateType', 'formCompany', 'formType', 'formVariant'];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Case-insensitive exact match on a customer name, for queries on `customers`
+const customerNameQuery = (customerName) => new RegExp(`^${escapeRegex(String(customerName).trim())}$`, 'i');
+
+/**
+ * The customer record for `customerId`, else the active one going by `customerName` (own name before
+ * merged aliases, oldest first). Null for walk-in sales and names with no record yet.
+ */
+const findPricedCustomer = async ({ customerId = null, customerName = '' } = {}, session = null) => {
+  if (customerId) {
+    if (!mongoose.isValidObjectId(customerId)) return null;
+    return Customer.findById(customerId).select('name nameKey aliases').session(session).lean();
+  }
+  if (isWalkIn(customerName)) return null;
+
+  const nameKey = toNameKey(customerName);
+  const candidates = await Customer.find({ isActive: true, $or: [{ nameKey }, { 'aliases.nameKey': nameKey }] })
+    .select('name nameKey aliases')
+    .sort({ createdAt: 1 })
+    .session(session)
+    .lean();
+  return candidates.find(c => c.nameKey === nameKey) || candidates[0] || null;
+};
+
+// The customer's id plus those of every record merged into it, directly or through earlier merges
+const withMergedCustomerIds = async (customerId, session) => {
+  const ids = [customerId];
+  let merged = [customerId];
+  while (merged.length > 0) {
+    const folded = await Customer.find({ mergedInto: { $in: merged } }).select('_id').session(session).lean();
+    merged = folded.map(c => c._id);
+    ids.push(...merged);
+  }
+  return ids;
+};
+
+/**
+ * The active price list a customer is on, or null (always null for walk-in customers).
+ * Takes { customerId?, customerName }. A list assigned to the customer's record wins, then one assigned
+ * to a record merged into it; lists assigned by name before customers were linked are matched last,
+ * against the customer's name and aliases (or the typed name when there is no record).
+ */
+const findCustomerPriceList = async ({ customerId = null, customerName = '' } = {}, session = null) => {
+  const customer = await findPricedCustomer({ customerId, customerName }, session);
+
+  if (customer) {
+    const ids = await withMergedCustomerIds(customer._id, session);
+    const lists = await PriceList.find({ isActive: true, customerIds: { $in: ids } })
+      .sort({ name: 1 })
+      .session(session)
+      .lean();
+    const assigned = lists.find(list => list.customerIds.some(id => id.equals(customer._id))) || lists[0];
+    if (assigned) return assigned;
+  }
+
+  const names = customer ? [customer.name, ...(customer.aliases || []).map(a => a.name)] : [customerName];
+  const nameQueries = names.filter(name => !isWalkIn(name)).map(customerNameQuery);
+  if (nameQueries.length === 0) return null;
+
+  return PriceList.findOne({ isActive: true, customers: { $in: nameQueries } })
+    .session(session)
+    .lean();
+};
+
+/**
+ * Price-list entry for one line: an entry for its inventory item wins, otherwise the attribute
+ * entry matching the most fields (every field set on the entry must match the line).
+ */
+const findListEntry = (priceList, product, itemId = null) => {
+  const entries = (priceList && priceList.entries) || [];
+
+  if (itemId) {
+    const itemEntry = entries.find(entry => entry.itemId && entry.itemId.toString() === itemId.toString());
+    if (itemEntry) return itemEntry;
+  }
+
+  const line = { ...product, productType: product.productType || 'Cover' };
+  let best = null;
+  let bestScore = 0;
+  entries.filter(entry => !entry.itemId).forEach(entry => {
+    const fields = ATTRIBUTE_FIELDS.filter(field => entry[field]);
+    if (fields.some(field => normalize(entry[field]) !== normalize(line[field]))) return;
+    if (fields.length > bestScore) {
+      best = entry;
+      bestScore = fields.length;
+    }
+  });
+  return best;
+};
+
+module.exports = {
+  customerNameQuery,
+  findPricedCustomer,
+  withMergedCustomerIds,
+  findCustomerPriceList,
+  findListEntry
+};
@@ -0,0 +1,125 @@
+const PricingRule = require('../models/pricingRules');
+const Counter = require('../models/counters');
+
+// The discount that used to be hard-coded: Rs. 10 off per unit on these covers from 10 units
+const DEFAULT_RULES = [{
+  name: 'Bulk cover discount',
+  description: 'Rs. 10 off per unit when buying 10 or more',
+  conditions: {
+    productType: ['Cover'],
+    coverType: ['Aster Cover', 'Without Aster Cover', 'Calendar Cover']
+  },
+  tiers: [{ minQuantity: 10, type: 'fixed', value: 10 }]
+}];
+
+const SEED_MARKER_ID = 'pricingRules:seeded';
+
+// Insert DEFAULT_RULES once per database. The counters entry marks it done,
+// so an admin who deletes or edits the default rule does not get it back.
+// Marker and rules commit together: a failed insert leaves no marker, and the next call tries again.
+const seedDefaultRules = async () => {
+  const session = await PricingRule.startSession();
+  let seeded = false;
+  try {
+    await session.withTransaction(async () => {
+      const marker = await Counter.findOneAndUpdate(
+        { _id: SEED_MARKER_ID },
+        { $setOnInsert: { seq: 1 } },
+        { upsert: true, new: false, session }
+      );
+      seeded = !marker;
+      if (seeded) {
+        await PricingRule.insertMany(DEFAULT_RULES, { session });
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+  if (seeded) {
+    console.log(`✅ Seeded ${DEFAULT_RULES.length} default pricing rule(s)`);
+  }
+};
+
+let seeding = null;
+
+/**
+ * Active rules whose date window contains `date`, highest priority first.
+ * Seeds the default rules on first use.
+ */
+const loadPricingRules = async (session = null, date = new Date()) => {
+  if (!seeding) {
+    seeding = seedDefaultRules().catch(err => {
+      seeding = null;
+      throw err;
+    });
+  }
+  await seeding;
+
+  return PricingRule.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: date } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: date } }] }
+    ]
+  })
+    .sort({ priority: -1 })
+    .session(session)
+    .lean();
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const matchesCondition = (allowed, value) => {
+  if (!allowed || allowed.length === 0) return true;
+  return allowed.some(option => normalize(option) === normalize(value));
+};
+
+// Per-unit discount a rule gives a line, or null when the rule does not apply
+const ruleDiscount = (rule, line, customerName) => {
+  const conditions = rule.conditions || {};
+  const matches = matchesCondition(conditions.productType, line.productType) &&
+    matchesCondition(conditions.coverType, line.coverType) &&
+    matchesCondition(conditions.bikeName, line.bikeName) &&
+    matchesCondition(conditions.plateCompany, line.plateCompany) &&
+    matchesCondition(conditions.formCompany, line.formCompany) &&
+    matchesCondition(conditions.customerName, customerName);
+  if (!matches) return null;
+
+  const tier = (rule.tiers || [])
+    .filter(t => line.quantity >= t.minQuantity)
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+  if (!tier) return null;
+
+  const perUnit = tier.type === 'percentage' ? (line.basePrice * tier.value) / 100 : tier.value;
+  return Math.min(line.basePrice, Math.round(perUnit * 100) / 100);
+};
+
+/**
+ * Pick the rule for one line ({ productType, coverType, bikeName, plateCompany, formCompany,
+ * quantity, basePrice }) from `rules`: highest priority first, then the biggest discount.
+ * Returns { rule, discountPerUnit } or null.
+ */
+const findPricingRule = (rules, line, { customerName = '' } = {}) => {
+  let best = null;
+
+  for (const rule of rules) {
+    const discountPerUnit = ruleDiscount(rule, line, customerName);
+    if (!discountPerUnit || discountPerUnit <= 0) continue;
+
+    const priority = rule.priority || 0;
+    const bestPriority = best ? best.rule.priority || 0 : -Infinity;
+    if (priority > bestPriority || (priority === bestPriority && discountPerUnit > best.discountPerUnit)) {
+      best = { rule, discountPerUnit };
+    }
+  }
+
+  return best;
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  SEED_MARKER_ID,
+  loadPricingRules,
+  findPricingRule,
+  matchesCondition
+};
@@ -0,0 +1,157 @@
+const Promotion = require('../models/promotions');
+const PromotionRedemption = require('../models/promotionRedemptions');
+const { matchesCondition } = require('./pricing');
+const { customerNameQuery, findPricedCustomer, withMergedCustomerIds } = require('./priceLists');
+const { isWalkIn } = require('./customers');
+const httpError = require('./httpError');
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Uses of a promotion that count against one customer's limit: those on their record or on records merged
+ * into it, plus uses recorded before redemptions carried a customerId under any of their names.
+ */
+const customerRedemptionFilter = async (promotionId, { customerId, customerName }, session) => {
+  const customer = await findPricedCustomer({ customerId, customerName }, session);
+  const names = customer ? [customer.name, ...(customer.aliases || []).map(a => a.name)] : [customerName];
+  const byName = { customerId: null, customerName: { $in: names.filter(name => !isWalkIn(name)).map(customerNameQuery) } };
+
+  return {
+    promotionId,
+    reversedAt: null,
+    $or: customer ? [{ customerId: { $in: await withMergedCustomerIds(customer._id, session) } }, byName] : [byName]
+  };
+};
+
+/**
+ * The promotion for `code` when it can be used on `date` by the customer ({ customerId?, customerName }).
+ * Throws a 400 saying why not (unknown, inactive, outside its dates, or a usage limit reached).
+ */
+const findUsablePromotion = async (code, { customerId = null, customerName = '', date = new Date() } = {}, session = null) => {
+  const promotion = await Promotion.findOne({ code: normalizeCode(code) }).session(session).lean();
+  if (!promotion || !promotion.isActive) {
+    throw httpError(400, `Promotion code '${code}' is not valid`);
+  }
+  if (promotion.startDate && promotion.startDate > date) {
+    throw httpError(400, `Promotion code '${promotion.code}' starts on ${promotion.startDate.toLocaleDateString()}`);
+  }
+  if (promotion.endDate && promotion.endDate < date) {
+    throw httpError(400, `Promotion code '${promotion.code}' expired on ${promotion.endDate.toLocaleDateString()}`);
+  }
+  if (promotion.maxRedemptions && promotion.redemptionCount >= promotion.maxRedemptions) {
+    throw httpError(400, `Promotion code '${promotion.code}' has reached its usage limit`);
+  }
+
+  if (promotion.maxRedemptionsPerCustomer) {
+    // Per-customer limits can only be counted for a named customer
+    if (!customerId && isWalkIn(customerName)) {
+      throw httpError(400, `Promotion code '${promotion.code}' needs a customer name`);
+    }
+    const used = await PromotionRedemption.countDocuments(
+      await customerRedemptionFilter(promotion._id, { customerId, customerName }, session)
+    ).session(session);
+    if (used >= promotion.maxRedemptionsPerCustomer) {
+      throw httpError(400, `${customerName || 'This customer'} has already used promotion code '${promotion.code}' ${used} time(s)`);
+    }
+  }
+
+  return promotion;
+};
+
+/**
+ * Take the promotion off every eligible priced line. Manually priced lines are left alone.
+ * Returns { products, lines, discountAmount } where lines lists what each discounted line got.
+ */
+const applyPromotion = (promotion, products) => {
+  const eligibility = promotion.eligibility || {};
+  const lines = [];
+
+  const discounted = products.map((line, lineIndex) => {
+    const eligible = line.discountType !== 'manual' &&
+      matchesCondition(eligibility.productType, line.productType) &&
+      matchesCondition(eligibility.coverType, line.coverType);
+    if (!eligible) return line;
+
+    const perUnit = promotion.type === 'percentage' ? (line.unitPrice * promotion.value) / 100 : promotion.value;
+    const discountPerUnit = Math.min(line.unitPrice, roundAmount(perUnit));
+    if (discountPerUnit <= 0) return line;
+
+    const unitPrice = roundAmount(line.unitPrice - discountPerUnit);
+    const promotionDiscount = roundAmount(discountPerUnit * line.quantity);
+    lines.push({ lineIndex, productName: line.productName, quantity: line.quantity, discountAmount: promotionDiscount });
+
+    return {
+      ...line,
+      unitPrice,
+      totalPrice: roundAmount(unitPrice * line.quantity),
+      discountAmount: roundAmount((line.discountAmount || 0) + promotionDiscount),
+      discountType: line.discountType === 'none' ? 'promotion' : line.discountType,
+      promotionDiscount
+    };
+  });
+
+  return {
+    products: discounted,
+    lines,
+    discountAmount: roundAmount(lines.reduce((sum, l) => sum + l.discountAmount, 0))
+  };
+};
+
+/**
+ * Count one use of the promotion against `slip` and record the redemption.
+ * The usage limit is re-checked in the same update, so two tills cannot both take the last use.
+ */
+const redeemPromotion = async (promotion, slip, applied, session = null) => {
+  const claimed = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }]
+    },
+    { $inc: { redemptionCount: 1 } },
+    { session, new: true }
+  );
+  if (!claimed) {
+    throw httpError(409, `Promotion code '${promotion.code}' has reached its usage limit`);
+  }
+
+  const [redemption] = await PromotionRedemption.create([{
+    promotionId: promotion._id,
+    code: promotion.code,
+    slipId: slip._id,
+    slipNumber: slip.slipNumber || '',
+    customerId: slip.customerId || null,
+    customerName: slip.customerName || '',
+    lines: applied.lines,
+    discountAmount: applied.discountAmount,
+    slipTotal: slip.totalAmount,
+    redeemedAt: slip.date || new Date()
+  }], { session });
+  return redemption;
+};
+
+// Give back the use of a cancelled or deleted slip's promotion. Returns the redemption, or null.
+const reversePromotionRedemption = async (slipId, session = null) => {
+  const redemption = await PromotionRedemption.findOneAndUpdate(
+    { slipId, reversedAt: null },
+    { $set: { reversedAt: new Date() } },
+    { session, new: true }
+  );
+  if (redemption) {
+    await Promotion.updateOne(
+      { _id: redemption.promotionId, redemptionCount: { $gt: 0 } },
+      { $inc: { redemptionCount: -1 } },
+      { session }
+    );
+  }
+  return redemption;
+};
+
+module.exports = {
+  normalizeCode,
+  findUsablePromotion,
+  applyPromotion,
+  redeemPromotion,
+  reversePromotionRedemption
+};
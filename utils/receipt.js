@@ -0,0 +1,177 @@
+const { SHOP_NAME, SHOP_ADDRESS, SHOP_PHONE } = require('./shop');
+
+// 32 columns fits 58mm paper, 48 columns fits 80mm paper (Font A)
+const RECEIPT_WIDTHS = [32, 48];
+const PAPER_WIDTHS = { '58': 32, '58mm': 32, '80': 48, '80mm': 48 };
+
+// ESC/POS command bytes
+const ESC = 0x1b;
+const GS = 0x1d;
+const INIT = [ESC, 0x40];
+const ALIGN = { left: [ESC, 0x61, 0], center: [ESC, 0x61, 1] };
+const BOLD_ON = [ESC, 0x45, 1];
+const BOLD_OFF = [ESC, 0x45, 0];
+const FEED_AND_CUT = [ESC, 0x64, 4, GS, 0x56, 0x42, 0];
+
+const money = (value) => (Number(value) || 0).toFixed(2);
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return isNaN(date) ? '' : date.toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' });
+};
+
+// Thermal printers only know their code page; keep receipts plain ASCII
+const toAscii = (text) => String(text ?? '').replace(/[^\x20-\x7e]/g, '?');
+
+// Word-wrap to the column width, hard-splitting words longer than a line.
+// Leading indentation is kept on every wrapped line.
+const wrap = (text, width) => {
+  const ascii = toAscii(text);
+  const indent = ascii.match(/^ */)[0];
+  if (indent) {
+    return wrap(ascii.slice(indent.length), Math.max(1, width - indent.length)).map(line => `${indent}${line}`);
+  }
+
+  const lines = [];
+  let current = '';
+  ascii.split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > width) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= width) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+  if (current) lines.push(current);
+  return lines.length > 0 ? lines : [''];
+};
+
+// Left text and right-aligned amount on one line; left side is wrapped if both don't fit
+const columns = (left, right, width) => {
+  const rightText = toAscii(right);
+  const leftLines = wrap(left, Math.max(1, width - rightText.length - 1));
+  const last = leftLines.pop();
+  return [
+    ...leftLines,
+    `${last}${' '.repeat(Math.max(1, width - last.length - rightText.length))}${rightText}`
+  ];
+};
+
+const resolveWidth = ({ width, paper } = {}) => {
+  if (paper !== undefined && paper !== '') {
+    return PAPER_WIDTHS[String(paper).toLowerCase()];
+  }
+  return parseInt(width) || RECEIPT_WIDTHS[0];
+};
+
+/**
+ * Lay out a slip as receipt lines: { text, align, bold }.
+ * Shared by the plain-text and ESC/POS renderers so both print the same content.
+ */
+const buildReceiptLines = (slip, width) => {
+  const lines = [];
+  const rule = { text: '-'.repeat(width), align: 'left' };
+  const push = (texts, options = {}) => texts.forEach(text => lines.push({ text, align: 'left', ...options }));
+
+  push(wrap(SHOP_NAME, width), { align: 'center', bold: true });
+  [SHOP_ADDRESS, SHOP_PHONE].filter(Boolean).forEach(line => push(wrap(line, width), { align: 'center' }));
+  if (slip.status === 'Cancelled') push(['*** CANCELLED ***'], { align: 'center', bold: true });
+  lines.push(rule);
+
+  push(wrap(`Slip: ${slip.slipNumber || slip._id}`, width));
+  push(wrap(`Date: ${formatDate(slip.date || slip.createdAt)}`, width));
+  push(wrap(`Customer: ${slip.customerName || 'Walk Customer'}`, width));
+  if (slip.customerPhone) push(wrap(`Phone: ${slip.customerPhone}`, width));
+  const methods = [...new Set((slip.payments || []).map(payment => payment.method))];
+  push(wrap(`Payment: ${methods.length > 1 ? methods.join(' + ') : slip.paymentMethod || 'Cash'}`, width));
+  lines.push(rule);
+
+  (slip.products || []).forEach(p => {
+    push(wrap(p.productName || p.productType || 'Product', width));
+    push(columns(`  ${p.quantity || 0} x ${money(p.unitPrice)}`, money(p.totalPrice), width));
+    if (Number(p.discountAmount) > 0) {
+      push(columns('  Discount', `-${money(p.discountAmount)}`, width));
+    }
+  });
+  lines.push(rule);
+
+  push(columns('Subtotal', money(slip.subtotal), width));
+  if (Number(slip.discount) > 0) push(columns('Discount', `-${money(slip.discount)}`, width));
+  push(columns('TOTAL', `Rs. ${money(slip.totalAmount)}`, width), { bold: true });
+
+  const payments = slip.payments || [];
+  if (payments.length > 1) {
+    payments.forEach(payment => {
+      push(columns(`  ${payment.method}${payment.reference ? ` ${payment.reference}` : ''}`, money(payment.amount), width));
+    });
+  }
+
+  if (slip.paymentMethod === 'Udhar') {
+    lines.push(rule);
+    push(columns('Previous Balance', money(slip.previousBalance), width));
+    push(columns('Paid Now', money(slip.partialPayment), width));
+    push(columns('Remaining Balance', money(slip.remainingBalance), width), { bold: true });
+  }
+
+  lines.push(rule);
+  push(['Thank you!'], { align: 'center' });
+  return lines;
+};
+
+const center = (text, width) => {
+  const padding = Math.max(0, Math.floor((width - text.length) / 2));
+  return `${' '.repeat(padding)}${text}`;
+};
+
+/**
+ * Render a slip as a plain-text receipt at the given column width.
+ */
+const renderReceiptText = (slip, width = RECEIPT_WIDTHS[0]) => {
+  return buildReceiptLines(slip, width)
+    .map(line => (line.align === 'center' ? center(line.text, width) : line.text))
+    .join('\n') + '\n';
+};
+
+/**
+ * Render a slip as raw ESC/POS bytes (init, per-line alignment/bold, feed and cut).
+ * Returns a Buffer to stream to a print bridge as-is.
+ */
+const renderReceiptEscPos = (slip, width = RECEIPT_WIDTHS[0]) => {
+  const bytes = [...INIT];
+  let align = null;
+  let bold = false;
+
+  buildReceiptLines(slip, width).forEach(line => {
+    if (line.align !== align) {
+      bytes.push(...ALIGN[line.align]);
+      align = line.align;
+    }
+    if (!!line.bold !== bold) {
+      bytes.push(...(line.bold ? BOLD_ON : BOLD_OFF));
+      bold = !!line.bold;
+    }
+    bytes.push(...Buffer.from(`${line.text}\n`, 'ascii'));
+  });
+
+  if (bold) bytes.push(...BOLD_OFF);
+  bytes.push(...ALIGN.left, ...FEED_AND_CUT);
+  return Buffer.from(bytes);
+};
+
+module.exports = {
+  RECEIPT_WIDTHS,
+  resolveWidth,
+  renderReceiptText,
+  renderReceiptEscPos
+};
@@ -0,0 +1,98 @@
+const { slipOutstanding } = require('./udhar');
+const { toNameKey } = require('./customers');
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Age buckets by days since the slip date; maxDays is inclusive
+const AGING_BUCKETS = [
+  { key: '0-30', maxDays: 30 },
+  { key: '31-60', maxDays: 60 },
+  { key: '61-90', maxDays: 90 },
+  { key: '90+', maxDays: Infinity }
+];
+
+const emptyBuckets = () => AGING_BUCKETS.reduce((buckets, b) => ({ ...buckets, [b.key]: 0 }), {});
+
+const ageInDays = (date, now = new Date()) => Math.max(0, Math.floor((now - new Date(date)) / DAY_MS));
+
+const bucketFor = (days) => AGING_BUCKETS.find(b => days <= b.maxDays).key;
+
+/**
+ * Age what is still owed on Udhar slips (totalAmount less partialPayment, collections and returns,
+ * as everywhere else). Slips are grouped by customer record, or by name for slips not linked to one.
+ * Rows are sorted by overdue amount (older than 30 days), then by total owed.
+ * With includeSlips each row lists its open slips, oldest first.
+ */
+const buildAgingReport = (slips, { now = new Date(), includeSlips = false } = {}) => {
+  const rows = new Map();
+  const totals = { ...emptyBuckets(), total: 0 };
+
+  for (const slip of slips) {
+    const outstanding = roundAmount(slipOutstanding(slip));
+    if (outstanding <= 0) continue;
+
+    const days = ageInDays(slip.date || slip.createdAt, now);
+    const bucket = bucketFor(days);
+    const key = slip.customerId ? String(slip.customerId) : `name:${toNameKey(slip.customerName)}`;
+
+    if (!rows.has(key)) {
+      rows.set(key, {
+        customerId: slip.customerId || null,
+        customerName: slip.customerName,
+        customerPhone: slip.customerPhone || '',
+        buckets: emptyBuckets(),
+        total: 0,
+        overdue: 0,
+        oldestDays: 0,
+        slipCount: 0,
+        slips: []
+      });
+    }
+    const row = rows.get(key);
+    row.buckets[bucket] = roundAmount(row.buckets[bucket] + outstanding);
+    row.total = roundAmount(row.total + outstanding);
+    if (bucket !== AGING_BUCKETS[0].key) row.overdue = roundAmount(row.overdue + outstanding);
+    row.oldestDays = Math.max(row.oldestDays, days);
+    row.slipCount++;
+    if (includeSlips) {
+      row.slips.push({
+        slipId: slip._id,
+        slipNumber: slip.slipNumber,
+        date: slip.date,
+        days,
+        bucket,
+        totalAmount: slip.totalAmount,
+        partialPayment: slip.partialPayment || 0,
+        collectedAmount: slip.collectedAmount || 0,
+        returnedAmount: slip.returnedAmount || 0,
+        outstanding
+      });
+    }
+
+    totals[bucket] = roundAmount(totals[bucket] + outstanding);
+    totals.total = roundAmount(totals.total + outstanding);
+  }
+
+  const customers = [...rows.values()].sort((a, b) => b.overdue - a.overdue || b.total - a.total);
+  customers.forEach(row => {
+    if (includeSlips) row.slips.sort((a, b) => b.days - a.days);
+    else delete row.slips;
+  });
+
+  return {
+    asOf: now,
+    buckets: AGING_BUCKETS.map(b => b.key),
+    totals,
+    customerCount: customers.length,
+    customers
+  };
+};
+
+module.exports = {
+  AGING_BUCKETS,
+  ageInDays,
+  bucketFor,
+  buildAgingReport
+};
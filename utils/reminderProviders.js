@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Reminder providers deliver one message. A provider is { name, send({ to, channel, message, customer }) }
+ * where send resolves to { id } (the provider's message id) and throws when delivery failed.
+ * Real SMS/WhatsApp gateways are added with registerReminderProvider and picked with REMINDER_PROVIDER.
+ */
+const providers = new Map();
+
+const registerReminderProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.send !== 'function') {
+    throw new Error('A reminder provider needs a name and a send({ to, channel, message }) function');
+  }
+  providers.set(provider.name, provider);
+};
+
+// Prints messages to the server log; nothing leaves the machine
+registerReminderProvider({
+  name: 'console',
+  send: async ({ to, channel, message }) => {
+    const id = crypto.randomUUID();
+    console.log(`📨 [${channel}] to ${to} (${id}): ${message}`);
+    return { id };
+  }
+});
+
+// Appends each message as a JSON line to REMINDER_OUTBOX_FILE (default reminders-outbox.jsonl in the temp dir)
+registerReminderProvider({
+  name: 'file',
+  send: async ({ to, channel, message, customer }) => {
+    const id = crypto.randomUUID();
+    const file = process.env.REMINDER_OUTBOX_FILE || path.join(os.tmpdir(), 'reminders-outbox.jsonl');
+    const line = JSON.stringify({ id, at: new Date().toISOString(), channel, to, customerId: customer && customer._id, message });
+    await fs.promises.appendFile(file, `${line}\n`);
+    return { id };
+  }
+});
+
+// The provider named by `name`, else REMINDER_PROVIDER, else the console stub
+const getReminderProvider = (name) => {
+  const wanted = name || process.env.REMINDER_PROVIDER || 'console';
+  const provider = providers.get(wanted);
+  if (!provider) {
+    throw new Error(`Unknown reminder provider '${wanted}'. Registered: ${[...providers.keys()].join(', ')}`);
+  }
+  return provider;
+};
+
+module.exports = {
+  registerReminderProvider,
+  getReminderProvider
+};
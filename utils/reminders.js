@@ -0,0 +1,121 @@
+const Customer = require('../models/customers');
+const Slip = require('../models/slips');
+const ReminderLog = require('../models/reminderLogs');
+const { slipOutstanding } = require('./udhar');
+const { ageInDays } = require('./receivables');
+const { getReminderProvider } = require('./reminderProviders');
+const { SHOP_NAME } = require('./shop');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fill {placeholders} from `context`; unknown ones are left as written so a typo shows in the preview
+const renderReminder = (template, context) => String(template || '').replace(/\{(\w+)\}/g, (match, key) => (
+  context[key] !== undefined && context[key] !== null ? String(context[key]) : match
+));
+
+// Balance, age of the oldest unpaid Udhar slip and the latest bill, for the message and the rule checks
+const loadReminderContext = async (customer, now = new Date()) => {
+  const openSlips = await Slip.find({ customerId: customer._id, paymentMethod: 'Udhar', status: 'Paid' })
+    .select('date totalAmount partialPayment collectedAmount returnedAmount')
+    .sort({ date: 1 })
+    .lean();
+  const oldest = openSlips.find(slip => slipOutstanding(slip) > 0);
+
+  const lastSlip = await Slip.findOne({ customerId: customer._id, status: 'Paid' })
+    .select('slipNumber date totalAmount')
+    .sort({ date: -1 })
+    .lean();
+
+  return {
+    name: customer.name,
+    balance: (Number(customer.balance) || 0).toFixed(2),
+    lastSlipNumber: lastSlip ? lastSlip.slipNumber : '-',
+    lastSlipDate: lastSlip ? new Date(lastSlip.date).toLocaleDateString('en-GB') : '-',
+    lastSlipAmount: lastSlip ? (Number(lastSlip.totalAmount) || 0).toFixed(2) : '0.00',
+    oldestDays: oldest ? ageInDays(oldest.date, now) : 0,
+    shop: SHOP_NAME
+  };
+};
+
+/**
+ * Send one message through `provider` and log the attempt whatever happens.
+ * A customer without a phone number is logged as Skipped. Returns the ReminderLog.
+ */
+const sendReminder = async (customer, { message, channel, rule = null }, provider) => {
+  const log = {
+    customerId: customer._id,
+    customerName: customer.name,
+    ruleId: rule ? rule._id : null,
+    ruleName: rule ? rule.name : '',
+    channel,
+    provider: provider.name,
+    to: customer.phone || '',
+    message,
+    balance: customer.balance,
+    attemptedAt: new Date()
+  };
+
+  if (!log.to) {
+    return ReminderLog.create({ ...log, status: 'Skipped', error: 'Customer has no phone number' });
+  }
+  try {
+    const result = await provider.send({ to: log.to, channel, message, customer });
+    return ReminderLog.create({ ...log, status: 'Sent', providerMessageId: String((result && result.id) || '') });
+  } catch (err) {
+    console.error(`❌ Reminder to ${customer.name} failed:`, err.message);
+    return ReminderLog.create({ ...log, status: 'Failed', error: err.message });
+  }
+};
+
+/**
+ * Remind every active customer the rule matches: balance of at least minBalance and an unpaid Udhar
+ * slip at least minDaysOutstanding old, not sent a reminder within cooldownDays.
+ * With dryRun the messages are only rendered. Returns counts and one result per matched customer.
+ */
+const runReminderRule = async (rule, { dryRun = false, providerName = null, now = new Date() } = {}) => {
+  const provider = getReminderProvider(providerName);
+  const summary = { rule: rule.name, dryRun, provider: provider.name, sent: 0, failed: 0, skipped: 0, onCooldown: 0, results: [] };
+
+  const customers = await Customer.find({ isActive: true, balance: { $gt: 0, $gte: rule.minBalance || 0 } })
+    .sort({ balance: -1 })
+    .lean();
+
+  for (const customer of customers) {
+    const context = await loadReminderContext(customer, now);
+    if (context.oldestDays < (rule.minDaysOutstanding || 0)) continue;
+
+    const result = { customerId: customer._id, customerName: customer.name, balance: customer.balance, oldestDays: context.oldestDays };
+
+    if (rule.cooldownDays > 0) {
+      const recent = await ReminderLog.findOne({
+        customerId: customer._id,
+        status: 'Sent',
+        attemptedAt: { $gte: new Date(now.getTime() - rule.cooldownDays * DAY_MS) }
+      }).select('attemptedAt').sort({ attemptedAt: -1 }).lean();
+      if (recent) {
+        summary.onCooldown++;
+        summary.results.push({ ...result, status: 'Cooldown', lastSentAt: recent.attemptedAt });
+        continue;
+      }
+    }
+
+    const message = renderReminder(rule.template, context);
+    if (dryRun) {
+      summary.results.push({ ...result, status: 'Preview', to: customer.phone, message });
+      continue;
+    }
+
+    const log = await sendReminder(customer, { message, channel: rule.channel, rule }, provider);
+    summary[log.status.toLowerCase()]++;
+    summary.results.push({ ...result, status: log.status, to: log.to, message, logId: log._id, error: log.error || undefined });
+  }
+
+  return summary;
+};
+
+module.exports = {
+  renderReminder,
+  loadReminderContext,
+  sendReminder,
+  runReminderRule
+};
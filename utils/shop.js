@@ -0,0 +1,6 @@
+// Shop details printed on invoices and receipts
+module.exports = {
+  SHOP_NAME: process.env.SHOP_NAME || 'Saeed Auto',
+  SHOP_ADDRESS: process.env.SHOP_ADDRESS || '',
+  SHOP_PHONE: process.env.SHOP_PHONE || ''
+};
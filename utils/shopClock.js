@@ -0,0 +1,46 @@
+// The shop's calendar: document numbering, day closes and statements all count days in
+// NUMBERING_TIMEZONE (default Asia/Karachi), whatever time zone the server runs in
+const DEFAULT_TIMEZONE = 'Asia/Karachi';
+
+const formats = new Map();
+
+const shopFormat = () => {
+  const timeZone = process.env.NUMBERING_TIMEZONE || DEFAULT_TIMEZONE;
+  if (!formats.has(timeZone)) {
+    const options = { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' };
+    let format;
+    try {
+      format = new Intl.DateTimeFormat('en-CA', { ...options, timeZone });
+    } catch (err) {
+      console.warn(`⚠️ Unknown NUMBERING_TIMEZONE '${timeZone}', using ${DEFAULT_TIMEZONE}`);
+      format = new Intl.DateTimeFormat('en-CA', { ...options, timeZone: DEFAULT_TIMEZONE });
+    }
+    formats.set(timeZone, format);
+  }
+  return formats.get(timeZone);
+};
+
+// Year, month, day, hour, minute and second of `date` on the shop's clock, as zero-padded strings
+const calendarParts = (date = new Date()) => shopFormat().formatToParts(date).reduce((parts, { type, value }) => {
+  if (type !== 'literal') parts[type] = value;
+  return parts;
+}, {});
+
+// How far the shop's clock is ahead of UTC at `time` (ms since epoch)
+const offsetAt = (time) => {
+  const p = calendarParts(new Date(time));
+  return Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute), Number(p.second)) - time;
+};
+
+// The instant the shop's day `day` of `month` (1-12) in `year` begins; out-of-range days roll over as in Date.UTC
+const startOfShopDay = (year, month, day) => {
+  const utcMidnight = Date.UTC(year, month - 1, day);
+  // Second pass picks up a daylight-saving change between UTC and shop midnight
+  const first = utcMidnight - offsetAt(utcMidnight);
+  return new Date(utcMidnight - offsetAt(first));
+};
+
+module.exports = {
+  calendarParts,
+  startOfShopDay
+};
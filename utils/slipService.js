@@ -0,0 +1,499 @@
+const Slip = require('../models/slips');
+const Item = require('../models/items');
+const Income = require('../models/income');
+const { resolveCustomer, assertWithinCreditLimit, recordSlipBalanceChange } = require('./customers');
+const { resolvePayments } = require('./payments');
+const { loadPricingRules, findPricingRule } = require('./pricing');
+const { findCustomerPriceList, findListEntry } = require('./priceLists');
+const { findInventoryItem } = require('./inventory');
+const { findUsablePromotion, applyPromotion, redeemPromotion } = require('./promotions');
+const { createBackorders } = require('./backorders');
+const httpError = require('./httpError');
+
+// Generate productName if not provided (from productType and other fields)
+const generateProductName = (p) => {
+  const productName = p.productName || p.itemName;
+  if (productName && productName.trim() !== '') return productName;
+
+  const productType = p.productType || 'Cover';
+  if (productType === 'Cover' && p.coverType) {
+    return `${productType} - ${p.coverType}`;
+  } else if (productType === 'Plate' && p.plateType) {
+    return `${productType} - ${p.plateType}${p.bikeName ? ` (${p.bikeName})` : ''}`;
+  } else if (productType === 'Form' && p.formVariant) {
+    return `${productType} - ${p.formVariant}${p.formCompany ? ` (${p.formCompany})` : ''}`;
+  }
+  return productType || 'Product';
+};
+
+/**
+ * Match every requested line to an inventory item and check stock.
+ * Throws a 400 httpError for missing products or insufficient stock, unless the line (or
+ * `allowBackorder`) accepts a shortfall: then what is in stock is taken now and the rest backordered.
+ * Returns [{ itemId, sku, quantity, backorderQuantity, components? }] for deductStock, where
+ * quantity is what leaves stock now; components is set for bundles.
+ */
+const checkStock = async (products, session, { allowBackorder = false } = {}) => {
+  const productUpdates = [];
+  // Units already claimed by earlier lines, so two lines (or a bundle and a loose item) cannot sell the same stock twice
+  const reserved = new Map();
+  const unreserved = (item) => Math.max(0, item.quantity - (reserved.get(String(item._id)) || 0));
+  const reserve = (itemId, units) => reserved.set(String(itemId), (reserved.get(String(itemId)) || 0) + units);
+
+  for (const p of products) {
+    const productName = p.productName || p.itemName;
+    const quantity = p.quantity;
+
+    if (!productName || !quantity || quantity <= 0) {
+      throw httpError(400, 'Invalid product data: productName and quantity are required');
+    }
+
+    // Linked itemId first, then exact name/SKU, then attributes
+    const inventoryItem = await findInventoryItem({
+      ...p,
+      productName,
+      productType: p.productType || 'Cover'
+    }, session);
+
+    if (!inventoryItem) {
+      throw httpError(400, 'Product not found in inventory', `No matching product found for: ${productName}`);
+    }
+
+    // Refresh the item from database to get latest quantity (avoid stale data)
+    const freshItem = await Item.findById(inventoryItem._id).session(session);
+    if (!freshItem) {
+      throw httpError(400, `Product '${productName}' was found but could not be retrieved`);
+    }
+    if (freshItem.isActive === false) {
+      throw httpError(400, `Product '${productName}' is no longer active in inventory`);
+    }
+
+    // A bundle has no stock of its own: it is available as many times as its components allow
+    let available;
+    let components = null;
+    if (freshItem.productType === 'Bundle') {
+      if (!freshItem.components || freshItem.components.length === 0) {
+        throw httpError(400, `Bundle '${productName}' has no components`);
+      }
+      components = [];
+      available = Infinity;
+      for (const component of freshItem.components) {
+        const componentItem = await Item.findById(component.itemId).session(session);
+        if (!componentItem || componentItem.isActive === false) {
+          throw httpError(400, `A component of bundle '${productName}' is no longer in inventory`);
+        }
+        available = Math.min(available, Math.floor(unreserved(componentItem) / component.quantity));
+        components.push({
+          itemId: componentItem._id,
+          sku: componentItem.sku || '',
+          name: componentItem.name || '',
+          quantity: component.quantity
+        });
+      }
+    } else {
+      available = unreserved(freshItem);
+    }
+
+    // Check stock with fresh data
+    const backorderAllowed = p.allowBackorder !== undefined ? !!p.allowBackorder : allowBackorder;
+    if (available < quantity && !backorderAllowed) {
+      throw httpError(400, `Insufficient stock for '${productName}'. Available: ${available}, Requested: ${quantity}`);
+    }
+    const takenNow = Math.min(quantity, available);
+
+    if (components) {
+      components.forEach(c => reserve(c.itemId, c.quantity * takenNow));
+    } else {
+      reserve(freshItem._id, takenNow);
+    }
+
+    productUpdates.push({
+      itemId: freshItem._id,
+      sku: freshItem.sku || '',
+      quantity: takenNow,
+      backorderQuantity: quantity - takenNow,
+      ...(components && { components })
+    });
+  }
+
+  return productUpdates;
+};
+
+const deductStock = async (productUpdates, session) => {
+  for (const update of productUpdates) {
+    // Bundles take their components out of stock instead of themselves
+    const moves = update.components
+      ? update.components.map(c => ({ itemId: c.itemId, quantity: c.quantity * update.quantity }))
+      : [{ itemId: update.itemId, quantity: update.quantity }];
+
+    for (const move of moves) {
+      if (move.quantity <= 0) continue;
+      await Item.findByIdAndUpdate(
+        move.itemId,
+        { $inc: { quantity: -move.quantity }, lastUpdated: new Date() },
+        { session }
+      );
+    }
+  }
+};
+
+/**
+ * Apply pricing to requested lines: pricing rule discounts, manual unit price overrides, line totals.
+ * Pure - `rules` come from loadPricingRules, so parked slips and quotes can use it too.
+ * `customerName` is matched against customer-specific rules. Throws a 400 httpError for invalid lines.
+ */
+const priceProducts = (products, { rules = [], customerName = '' } = {}) => products.map((p, index) => {
+  try {
+    const quantity = parseInt(p.quantity) || 0;
+    const basePrice = parseFloat(p.basePrice) || parseFloat(p.unitPrice) || parseFloat(p.price) || 0;
+    const coverType = p.coverType || '';
+    const productType = p.productType || 'Cover';
+
+    // Validate required fields
+    if (quantity <= 0) {
+      throw new Error(`Product ${index + 1}: Quantity must be greater than 0`);
+    }
+    if (basePrice < 0) {
+      throw new Error(`Product ${index + 1}: Base price cannot be negative`);
+    }
+
+    // Discount from the best matching pricing rule, if any
+    let discountAmount = 0;
+    let discountType = 'none';
+    let pricingRule = null;
+
+    const applied = findPricingRule(rules, {
+      productType,
+      coverType,
+      bikeName: p.bikeName,
+      plateCompany: p.plateCompany,
+      formCompany: p.formCompany,
+      quantity,
+      basePrice
+    }, { customerName });
+    if (applied) {
+      discountAmount = applied.discountPerUnit;
+      discountType = 'rule';
+      pricingRule = applied.rule;
+    }
+
+    // Manual discount/override (if admin manually adjusted price)
+    const finalUnitPrice = p.unitPrice !== undefined ? parseFloat(p.unitPrice) : (basePrice - discountAmount);
+
+    // If unitPrice was manually set, it's a manual override
+    if (p.unitPrice !== undefined && Math.abs(p.unitPrice - (basePrice - discountAmount)) > 0.01) {
+      discountType = 'manual';
+      discountAmount = Math.max(0, basePrice - finalUnitPrice);
+      pricingRule = null;
+    }
+
+    // Ensure finalUnitPrice is not negative
+    const safeUnitPrice = Math.max(0, finalUnitPrice);
+    const totalDiscount = discountAmount * quantity;
+    const totalPrice = quantity * safeUnitPrice;
+
+    return {
+      productName: generateProductName(p),
+      productType,
+      coverType: coverType || '',
+      plateCompany: p.plateCompany || '',
+      bikeName: p.bikeName || '',
+      plateType: p.plateType || '',
+      formCompany: p.formCompany || '',
+      formType: p.formType || '',
+      formVariant: p.formVariant || '',
+      quantity,
+      basePrice: Math.max(0, basePrice),
+      unitPrice: safeUnitPrice,
+      discountAmount: totalDiscount,
+      discountType,
+      pricingRuleId: pricingRule ? pricingRule._id : null,
+      pricingRuleName: pricingRule ? pricingRule.name : '',
+      priceListId: p.priceListId || null,
+      priceListName: p.priceListName || '',
+      itemId: p.itemId || null,
+      sku: p.sku || '',
+      totalPrice,
+      category: p.category || '',
+      subcategory: p.subcategory || '',
+      company: p.company || ''
+    };
+  } catch (err) {
+    throw httpError(400, `Error processing product ${index + 1}: ${err.message}`);
+  }
+});
+
+/**
+ * Replace each line's basePrice with the price from the customer's price list, when the
+ * customer has one and it covers the line. A unitPrice the cashier typed that matches normal
+ * pricing is dropped so the list price shows through; a real override is kept.
+ */
+const applyPriceList = async (products, { rules = [], customerId = null, customerName = '' } = {}, session = null) => {
+  const priceList = await findCustomerPriceList({ customerId, customerName }, session);
+  const needsItems = !!priceList && priceList.entries.some(entry => entry.itemId);
+  const listed = [];
+
+  for (const product of products) {
+    // Lines re-priced from a parked slip or quote may carry an old list reference
+    const { priceListId, priceListName, ...p } = product;
+
+    const inventoryItem = needsItems ? await findInventoryItem(p, session) : null;
+    const entry = priceList && findListEntry(priceList, p, inventoryItem && inventoryItem._id);
+    if (!entry) {
+      listed.push(p);
+      continue;
+    }
+
+    const line = { ...p, basePrice: entry.price, priceListId: priceList._id, priceListName: priceList.name };
+    if (p.unitPrice !== undefined) {
+      try {
+        const [regular] = priceProducts([p], { rules, customerName });
+        if (regular.discountType !== 'manual') delete line.unitPrice;
+      } catch (err) {
+        // Invalid line; priceProducts reports it properly afterwards
+      }
+    }
+    listed.push(line);
+  }
+  return listed;
+};
+
+/**
+ * Price lines for a customer ({ customerId?, customerName }) with everything in force now: price list, then pricing rules.
+ */
+const priceProductsForCustomer = async (products, { customerId = null, customerName = '' } = {}, session = null) => {
+  const rules = await loadPricingRules(session);
+  // A promotion is re-applied after pricing, so the unitPrice it lowered is not a manual override
+  const unpromoted = products.map(({ promotionDiscount, ...p }) => {
+    if (promotionDiscount > 0) delete p.unitPrice;
+    return p;
+  });
+  const listed = await applyPriceList(unpromoted, { rules, customerId, customerName }, session);
+  return priceProducts(listed, { rules, customerName });
+};
+
+// Recalculate subtotal and totalAmount from processed products to avoid frontend calculation bugs
+const calculateTotals = (processedProducts, discount = 0) => {
+  const subtotal = processedProducts.reduce(
+    (sum, product) => sum + (parseFloat(product.totalPrice) || 0),
+    0
+  );
+
+  const validDiscount = Math.max(0, parseFloat(discount) || 0);
+  return {
+    subtotal,
+    discount: validDiscount,
+    totalAmount: Math.max(0, subtotal - validDiscount)
+  };
+};
+
+/**
+ * Customer balance fields for a new bill. All zero unless the bill is Udhar for a known customer,
+ * whose ledger balance is the previous balance.
+ */
+const calculateUdharBalances = ({ customer, paymentMethod, totalAmount, partialPayment = 0 }) => {
+  let previousBalance = 0;
+  let currentBalance = 0;
+  let remainingBalance = 0;
+  const partialPaymentAmount = parseFloat(partialPayment) || 0;
+
+  if (paymentMethod === 'Udhar' && customer) {
+    previousBalance = customer.balance || 0;
+
+    // Remaining balance for this bill (after partial payment)
+    const currentRemaining = Math.max(0, totalAmount - partialPaymentAmount);
+
+    // Total remaining balance = previous balance + current remaining
+    remainingBalance = previousBalance + currentRemaining;
+    currentBalance = previousBalance + totalAmount;
+  }
+
+  return {
+    previousBalance,
+    currentBalance,
+    partialPayment: paymentMethod === 'Udhar' ? partialPaymentAmount : 0,
+    remainingBalance: paymentMethod === 'Udhar' ? remainingBalance : 0
+  };
+};
+
+// Create the sale Income record for a saved slip (slipId reference, same session)
+const createSaleIncome = async (slip, session) => {
+  // Ensure all required fields are present and valid
+  const incomeProducts = slip.products.map(p => {
+    // Ensure quantity, unitPrice, and totalPrice are valid numbers
+    const qty = parseInt(p.quantity) || 1;
+    const unitPrice = parseFloat(p.unitPrice) || parseFloat(p.basePrice) || 0;
+    const totalPrice = parseFloat(p.totalPrice) || (qty * unitPrice);
+
+    // Validate product data
+    if (qty < 1) {
+      throw new Error(`Invalid quantity for product: ${p.productName || 'Unknown'}`);
+    }
+    if (unitPrice < 0) {
+      throw new Error(`Invalid unit price for product: ${p.productName || 'Unknown'}`);
+    }
+    if (totalPrice < 0) {
+      throw new Error(`Invalid total price for product: ${p.productName || 'Unknown'}`);
+    }
+
+    return {
+      productName: (p.productName || 'Unknown Product').trim(),
+      productType: p.productType || 'Cover',
+      coverType: (p.coverType || '').trim(),
+      plateCompany: (p.plateCompany || '').trim(),
+      bikeName: (p.bikeName || '').trim(),
+      plateType: (p.plateType || '').trim(),
+      formCompany: (p.formCompany || '').trim(),
+      formType: (p.formType || '').trim(),
+      formVariant: (p.formVariant || '').trim(),
+      quantity: qty,
+      unitPrice: unitPrice,
+      totalPrice: totalPrice,
+      category: (p.category || '').trim(),
+      subcategory: (p.subcategory || '').trim(),
+      company: (p.company || '').trim()
+    };
+  });
+
+  // Validate total income
+  if (slip.totalAmount < 0) {
+    throw new Error('Total amount cannot be negative');
+  }
+
+  const incomeRecord = new Income({
+    date: slip.date || new Date(),
+    totalIncome: slip.totalAmount,
+    productsSold: incomeProducts,
+    customerName: (slip.customerName || 'Walk Customer').trim(),
+    customerPhone: (slip.customerPhone || '').trim(),
+    paymentMethod: slip.paymentMethod || 'Cash',
+    payments: slip.payments,
+    slipNumber: (slip.slipNumber || slip._id.toString()).trim(),
+    slipId: slip._id,
+    notes: `Sale from slip ${slip.slipNumber || slip._id}`
+  });
+
+  // Validate income record before saving
+  const incomeValidationError = incomeRecord.validateSync();
+  if (incomeValidationError) {
+    throw new Error(`Income validation failed: ${incomeValidationError.message}`);
+  }
+
+  await incomeRecord.save({ session });
+  return incomeRecord;
+};
+
+// Stamp the stock-checked item onto each priced line (same order as checkStock's result).
+// Bundle lines also keep the components they took, so restocking does not depend on later edits to the bundle.
+const linkInventoryItems = (processedProducts, productUpdates) => processedProducts.map((line, i) => ({
+  ...line,
+  itemId: productUpdates[i].itemId,
+  sku: productUpdates[i].sku,
+  components: productUpdates[i].components || [],
+  backorderQuantity: productUpdates[i].backorderQuantity || 0
+}));
+
+/**
+ * Complete a sale inside `session`: check stock, price the lines, apply data.promotionCode, split the payments,
+ * link the customer (data.customerId, or found or created by name) and charge any Udhar to their ledger
+ * within their credit limit (data.overrideCreditLimit lets a bill past it),
+ * deduct stock, save the slip as Paid and post its Income record.
+ * With data.allowBackorder (or a line's own allowBackorder) a stock shortfall is sold as a backorder.
+ * Pass `slip` to complete an existing (parked) slip instead of creating a new one.
+ */
+const checkoutSlip = async (data, session, slip = null) => {
+  const { customerName, customerPhone, notes, discount = 0, products } = data;
+
+  if (!products || products.length === 0) {
+    throw httpError(400, 'Products cannot be empty');
+  }
+
+  const completedSlip = slip || new Slip();
+
+  const productUpdates = await checkStock(products, session, { allowBackorder: !!data.allowBackorder });
+  let processedProducts = linkInventoryItems(
+    await priceProductsForCustomer(products, { customerId: data.customerId, customerName }, session),
+    productUpdates
+  );
+
+  // Promotion code: checked against the sale date, then taken off the eligible lines
+  let promotion = null;
+  let promotionApplied = null;
+  if (data.promotionCode) {
+    promotion = await findUsablePromotion(data.promotionCode, { customerId: data.customerId, customerName, date: completedSlip.date || new Date() }, session);
+    promotionApplied = applyPromotion(promotion, processedProducts);
+    if (promotionApplied.lines.length === 0) {
+      throw httpError(400, `Promotion code '${promotion.code}' does not apply to any product on this slip`);
+    }
+    processedProducts = promotionApplied.products;
+  }
+
+  const totals = calculateTotals(processedProducts, discount);
+  const payment = resolvePayments(data, totals.totalAmount);
+  const customer = await resolveCustomer({ customerId: data.customerId, customerName, customerPhone }, session);
+  const balances = calculateUdharBalances({
+    customer,
+    paymentMethod: payment.paymentMethod,
+    totalAmount: totals.totalAmount,
+    partialPayment: payment.partialPayment
+  });
+  const creditLimitOverride = payment.paymentMethod === 'Udhar' && customer
+    ? assertWithinCreditLimit(customer, {
+      previousBalance: balances.previousBalance,
+      billCredit: balances.remainingBalance - balances.previousBalance,
+      override: !!data.overrideCreditLimit
+    })
+    : false;
+
+  completedSlip.set({
+    customerId: customer ? customer._id : null,
+    customerName: customerName || (customer && customer.name) || 'Walk Customer',
+    customerPhone: customerPhone || '',
+    paymentMethod: payment.paymentMethod,
+    payments: payment.payments,
+    notes: notes || '',
+    products: processedProducts,
+    subtotal: totals.subtotal,
+    discount: totals.discount,
+    totalAmount: totals.totalAmount,
+    previousBalance: balances.previousBalance,
+    currentBalance: balances.currentBalance,
+    partialPayment: balances.partialPayment,
+    remainingBalance: balances.remainingBalance,
+    promotionId: promotion ? promotion._id : null,
+    promotionCode: promotion ? promotion.code : '',
+    promotionDiscount: promotionApplied ? promotionApplied.discountAmount : 0,
+    creditLimitOverride,
+    status: 'Paid'
+  });
+
+  // reduce stock
+  await deductStock(productUpdates, session);
+
+  // Save slip first to get slipNumber (generated in pre-save hook)
+  await completedSlip.save({ session });
+
+  await createSaleIncome(completedSlip, session);
+  await createBackorders(completedSlip, session);
+  await recordSlipBalanceChange(null, completedSlip, 'Sale', session, { date: completedSlip.date });
+
+  if (promotion) {
+    await redeemPromotion(promotion, completedSlip, promotionApplied, session);
+  }
+
+  return completedSlip;
+};
+
+module.exports = {
+  generateProductName,
+  checkStock,
+  deductStock,
+  priceProducts,
+  applyPriceList,
+  priceProductsForCustomer,
+  linkInventoryItems,
+  calculateTotals,
+  calculateUdharBalances,
+  createSaleIncome,
+  checkoutSlip
+};
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Slip = require('../models/slips');
+const SlipVersion = require('../models/slipVersions');
+
+// Bookkeeping fields that change on every save and say nothing about the bill
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Flatten a plain object into { 'products.0.unitPrice': 250, ... } with comparable leaf values
+const flatten = (value, path = '', out = {}) => {
+  if (value instanceof Date) {
+    out[path] = value.toISOString();
+  } else if (value instanceof mongoose.Types.ObjectId) {
+    out[path] = value.toString();
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) => flatten(item, path ? `${path}.${i}` : String(i), out));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => {
+      if (!path && IGNORED_FIELDS.includes(key)) return;
+      flatten(value[key], path ? `${path}.${key}` : key, out);
+    });
+  } else if (value !== undefined) {
+    out[path] = value;
+  }
+  return out;
+};
+
+/**
+ * Field-level diff between two plain slip objects.
+ * Returns [{ field, from, to }] with dotted paths; missing values are reported as null.
+ */
+const diffSlips = (before, after) => {
+  const from = flatten(before);
+  const to = flatten(after);
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+  return fields
+    .filter(field => from[field] !== to[field])
+    .map(field => ({
+      field,
+      from: from[field] === undefined ? null : from[field],
+      to: to[field] === undefined ? null : to[field]
+    }));
+};
+
+// Who is editing: X-User header, else changedBy in the body
+const changedByFrom = (req) => {
+  const user = req.get('X-User') || (req.body && req.body.changedBy);
+  return user ? String(user).trim() : 'unknown';
+};
+
+/**
+ * Store `before` (the slip prior to a change) as the next version, with its diff against `after`.
+ * Nothing is written when the change changed nothing. A deleted slip (`after` null) keeps its last
+ * state as a 'delete' version with no field diff. Returns the version or null.
+ */
+const recordSlipVersion = async (before, after, { action = 'update', changedBy = 'unknown', reason = '' } = {}, session = null) => {
+  const changes = after ? diffSlips(before, after) : [];
+  if (after && changes.length === 0) return null;
+
+  const latest = await SlipVersion.findOne({ slipId: before._id })
+    .sort({ version: -1 })
+    .select('version')
+    .session(session);
+
+  const version = new SlipVersion({
+    slipId: before._id,
+    slipNumber: before.slipNumber || '',
+    version: (latest ? latest.version : 0) + 1,
+    action,
+    changedBy,
+    reason,
+    snapshot: before,
+    changes
+  });
+  await version.save({ session });
+  return version;
+};
+
+/**
+ * Apply a raw `update` to one slip and version it. For paths that change a few fields with updateOne
+ * (collections, backorders, recomputes, merges) rather than loading and saving the slip.
+ * Returns the updated slip as a plain object, or null when there is no such slip.
+ */
+const updateSlipWithVersion = async (slipId, update, versionInfo, session = null) => {
+  const before = await Slip.findById(slipId).session(session).lean();
+  if (!before) return null;
+
+  await Slip.updateOne({ _id: slipId }, update, { session });
+  const after = await Slip.findById(slipId).session(session).lean();
+  await recordSlipVersion(before, after, versionInfo, session);
+  return after;
+};
+
+module.exports = {
+  diffSlips,
+  changedByFrom,
+  recordSlipVersion,
+  updateSlipWithVersion
+};
@@ -0,0 +1,88 @@
+const CustomerLedgerEntry = require('../models/customerLedger');
+const { toBusinessDate, dayRange } = require('./dayClose');
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const ENTRY_DESCRIPTIONS = {
+  Opening: 'Opening balance',
+  Sale: 'Udhar sale',
+  Edit: 'Slip edited',
+  Return: 'Goods returned',
+  Cancellation: 'Slip cancelled',
+  Payment: 'Payment received',
+  Adjustment: 'Balance adjustment'
+};
+
+// Document number shown for a ledger entry: the receipt, the credit note or the slip
+const entryReference = (entry) => (entry.collectionId && entry.collectionId.receiptNumber) ||
+  (entry.returnId && entry.returnId.returnNumber) ||
+  entry.slipNumber ||
+  '';
+
+/**
+ * Account statement for `customer` from startDate to endDate (YYYY-MM-DD, both days included;
+ * default the current month to date). Built from the ledger by entry date, so the opening balance
+ * is everything before startDate and each line carries the running balance.
+ * Debits are what the customer was charged, credits what was paid or taken off.
+ */
+const buildStatement = async (customer, { startDate, endDate } = {}) => {
+  const today = toBusinessDate();
+  const start = startDate || `${today.slice(0, 8)}01`;
+  const end = endDate || today;
+  const { from } = dayRange(start);
+  const { to } = dayRange(end);
+
+  const [before] = await CustomerLedgerEntry.aggregate([
+    { $match: { customerId: customer._id, date: { $lt: from } } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+  const openingBalance = roundAmount(before && before.amount);
+
+  const entries = await CustomerLedgerEntry.find({ customerId: customer._id, date: { $gte: from, $lt: to } })
+    .sort({ date: 1, createdAt: 1 })
+    .populate('collectionId', 'receiptNumber')
+    .populate('returnId', 'returnNumber')
+    .lean();
+
+  let balance = openingBalance;
+  let totalDebit = 0;
+  let totalCredit = 0;
+  const lines = entries.map(entry => {
+    const debit = entry.amount > 0 ? roundAmount(entry.amount) : 0;
+    const credit = entry.amount < 0 ? roundAmount(-entry.amount) : 0;
+    balance = roundAmount(balance + debit - credit);
+    totalDebit += debit;
+    totalCredit += credit;
+    return {
+      date: entry.date,
+      type: entry.type,
+      reference: entryReference(entry),
+      description: entry.note || ENTRY_DESCRIPTIONS[entry.type] || entry.type,
+      slipId: entry.slipId,
+      debit,
+      credit,
+      balance
+    };
+  });
+
+  return {
+    customer: {
+      _id: customer._id,
+      name: customer.name,
+      phone: customer.phone,
+      address: customer.address
+    },
+    startDate: start,
+    endDate: end,
+    openingBalance,
+    lines,
+    totalDebit: roundAmount(totalDebit),
+    totalCredit: roundAmount(totalCredit),
+    closingBalance: balance,
+    generatedAt: new Date()
+  };
+};
+
+module.exports = {
+  buildStatement
+};
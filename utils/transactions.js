@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run `work(session)` in a transaction and return what it returns.
+ * When MongoDB aborts the transaction with a TransientTransactionError (e.g. two sales taking the next
+ * slip number at the same moment write-conflict on its counter) the whole of `work` runs again in a
+ * fresh transaction, so it must load or create every document it saves and must not send the response.
+ * Any other error aborts the transaction and is thrown.
+ */
+const runInTransaction = (work) => mongoose.connection.transaction(work);
+
+module.exports = {
+  runInTransaction
+};
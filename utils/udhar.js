@@ -0,0 +1,12 @@
+// What is still owed on one Udhar slip (totalAmount is already after discount)
+const slipOutstanding = (slip) => {
+  const slipTotal = slip.totalAmount || 0;
+  const partialPaid = slip.partialPayment || 0;
+  const collected = slip.collectedAmount || 0;
+  const returned = slip.returnedAmount || 0;
+  return Math.max(0, slipTotal - partialPaid - collected - returned);
+};
+
+module.exports = {
+  slipOutstanding
+};